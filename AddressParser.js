@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Email address list parsing
+ * @version 2.0.0
+ * @description RFC 5322 address-list parser for From/To/Cc headers with display names, groups and encoded words
+ */
+
+/**
+ * Parsed mailbox
+ * @typedef {Object} ParsedAddress
+ * @property {string} name - Display name (decoded), or empty string
+ * @property {string} address - Email address
+ * @property {string} domain - Lower-case domain of the address
+ * @property {string} group - Group name if the mailbox was listed in a group
+ */
+
+/**
+ * Parse an address-list header value
+ * @param {string} headerValue - Header value, e.g. '"Doe, Jane" <jane@example.com>, team: a@x.com, b@x.com;'
+ * @returns {Array<ParsedAddress>} Mailboxes in header order
+ */
+function parseAddressList(headerValue) {
+  const mailboxes = [];
+  const text = String(headerValue || "");
+  let group = "";
+  let phrase = "";
+  let angle = "";
+  let comment = "";
+  let inQuote = false;
+  let inAngle = false;
+  let commentDepth = 0;
+  
+  const flush = () => {
+    const mailbox = buildParsedAddress(phrase, angle, comment, group);
+    if (mailbox) {
+      mailboxes.push(mailbox);
+    }
+    phrase = "";
+    angle = "";
+    comment = "";
+    inAngle = false;
+  };
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (commentDepth > 0) {
+      if (char === "\\") {
+        comment += text[++i] || "";
+      } else if (char === "(") {
+        commentDepth++;
+      } else if (char === ")") {
+        commentDepth--;
+      } else {
+        comment += char;
+      }
+    } else if (inQuote) {
+      if (char === "\\") {
+        phrase += text[++i] || "";
+      } else if (char === '"') {
+        inQuote = false;
+      } else {
+        phrase += char;
+      }
+    } else if (inAngle) {
+      if (char === ">") {
+        inAngle = false;
+      } else {
+        angle += char;
+      }
+    } else if (char === '"') {
+      inQuote = true;
+    } else if (char === "(") {
+      commentDepth = 1;
+    } else if (char === "<") {
+      inAngle = true;
+    } else if (char === ":" && !angle && !isInsideAddress(phrase)) {
+      // "Group name:" starts a group
+      group = decodeEncodedWords(phrase.trim());
+      phrase = "";
+    } else if (char === ";" && group) {
+      flush();
+      group = "";
+    } else if (char === ",") {
+      flush();
+    } else {
+      phrase += char;
+    }
+  }
+  
+  flush();
+  return mailboxes;
+}
+
+/**
+ * Build a mailbox from the parts collected by the parser
+ * @param {string} phrase - Text outside angle brackets
+ * @param {string} angle - Text inside angle brackets
+ * @param {string} comment - Comment text
+ * @param {string} group - Group name
+ * @returns {ParsedAddress|null} Mailbox, or null if there is no address
+ */
+function buildParsedAddress(phrase, angle, comment, group) {
+  let address = angle.trim();
+  let name = phrase.replace(/\s+/g, " ").trim();
+  
+  if (!address) {
+    // Bare addr-spec such as "jane@example.com (Jane Doe)"
+    address = name;
+    name = comment.trim();
+  }
+  
+  address = address.replace(/\s+/g, "");
+  if (!address || !address.includes("@")) {
+    return null;
+  }
+  
+  const at = address.lastIndexOf("@");
+  const domain = address.substring(at + 1).toLowerCase();
+  
+  return {
+    name: decodeEncodedWords(name || comment.trim()),
+    address: address.substring(0, at + 1) + domain,
+    domain: domain,
+    group: group
+  };
+}
+
+/**
+ * Check whether unquoted text so far looks like the local part of an address,
+ * so that a colon in it is not mistaken for a group start
+ * @param {string} phrase - Text collected so far
+ * @returns {boolean} True if the text contains an @ sign
+ */
+function isInsideAddress(phrase) {
+  return phrase.includes("@");
+}
+
+/**
+ * Build the structured address fields of an email
+ * @param {string} from - From header
+ * @param {string} to - To header
+ * @param {string} cc - Cc header
+ * @returns {Object} fromName, fromAddress, fromDomain, toAddresses, ccAddresses and allParticipants
+ */
+function extractAddressFields(from, to, cc) {
+  const sender = parseAddressList(from)[0] || { name: "", address: "", domain: "" };
+  const toAddresses = parseAddressList(to).map(mailbox => mailbox.address);
+  const ccAddresses = parseAddressList(cc).map(mailbox => mailbox.address);
+  
+  // Unique addresses, compared case-insensitively, in order of appearance
+  const seen = {};
+  const allParticipants = [sender.address].concat(toAddresses, ccAddresses).filter(address => {
+    const key = address.toLowerCase();
+    if (!address || seen[key]) return false;
+    seen[key] = true;
+    return true;
+  });
+  
+  return {
+    fromName: sender.name || sender.address,
+    fromAddress: sender.address,
+    fromDomain: sender.domain,
+    toAddresses: toAddresses,
+    ccAddresses: ccAddresses,
+    allParticipants: allParticipants
+  };
+}
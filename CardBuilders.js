@@ -4,9 +4,10 @@
 
 /**
  * Build the main mappings configuration card
+ * @param {string} [focusPropertyId] - Property to show first and highlight, e.g. one Notion rejected
  * @returns {CardService.Card} The configured card
  */
-function buildMappingsCard() {
+function buildMappingsCard(focusPropertyId) {
   console.log("Building mappings configuration card");
   var config = getConfig();
   
@@ -14,7 +15,7 @@ function buildMappingsCard() {
     return buildConfigErrorCard();
   }
   
-  var schemaResult = fetchNotionDatabaseSchema(config.databaseId, config.apiKey);
+  var schemaResult = getCachedDatabaseSchema(config.databaseId, config.apiKey, config.dataSourceId);
   if (!schemaResult || !schemaResult.success) {
     return buildSchemaErrorCard(schemaResult?.error || "Could not fetch database.");
   }
@@ -92,8 +93,17 @@ function buildMappingsCard() {
     return a.name.localeCompare(b.name);
   });
   
+  // A property Notion rejected goes first, so it is in view when the card opens
+  var focusIndex = properties.findIndex(prop => prop.id === focusPropertyId);
+  if (focusIndex > 0) {
+    properties.unshift(properties.splice(focusIndex, 1)[0]);
+  }
+  
   // Property mapping section
-  card.addSection(buildPropertyMappingSection(properties, mappings));
+  card.addSection(buildPropertyMappingSection(properties, mappings, focusPropertyId));
+  
+  // Page body section
+  card.addSection(buildPageContentSection(mappings));
   
   // Action section
   card.addSection(buildActionSection());
@@ -132,6 +142,15 @@ function buildDatabaseInfoSection(database) {
         .setText("<b>Auto-managed (Notion):</b> " + autoManagedCount)
     );
   
+  // Multi-source databases: show which data source the schema came from
+  if (database.dataSources && database.dataSources.length > 1) {
+    var dataSource = database.dataSources.find(source => source.id === database.dataSourceId);
+    section.addWidget(
+      CardService.newTextParagraph()
+        .setText(`<b>Data Source:</b> ${dataSource ? dataSource.name : "Default"} (${database.dataSources.length} in database)`)
+    );
+  }
+  
   if (database.url) {
     section.addWidget(
       CardService.newTextButton()
@@ -150,9 +169,10 @@ function buildDatabaseInfoSection(database) {
  * Build property mapping section with handler integration
  * @param {Array} properties - Array of Notion properties
  * @param {Object} mappings - Current mappings configuration
+ * @param {string} [focusPropertyId] - Property to highlight
  * @returns {CardService.CardSection} Property mapping section
  */
-function buildPropertyMappingSection(properties, mappings) {
+function buildPropertyMappingSection(properties, mappings, focusPropertyId) {
   console.log("=== DEBUG: Starting buildPropertyMappingSection with validation ===");
   console.log("Total properties received:", properties.length);
   
@@ -191,6 +211,13 @@ function buildPropertyMappingSection(properties, mappings) {
     if (["formula", "rollup", "created_time", "created_by", "last_edited_time", "last_edited_by"].includes(propertyType) && !property.isRequired) {
       console.log(">>> Skipping auto-managed property");
     } else {
+      if (propertyId === focusPropertyId) {
+        section.addWidget(
+          CardService.newTextParagraph()
+            .setText("<font color='#D93025'><b>⚠️ Notion did not accept " + escapeHtml(property.name) + ". Check this mapping and save.</b></font>")
+        );
+      }
+      
       // Use handler to build UI if available
       if (handler && handler.buildUI) {
         console.log(">>> Using handler for:", propertyType);
@@ -223,6 +250,8 @@ function buildPropertyMappingSection(properties, mappings) {
         addFallbackUI(section, property, propertyType, "No handler available");
       }
       
+      section.addWidget(buildUpdatePolicyDropdown(propertyId, propertyType, mapping.overwritePolicy));
+      
       // Add divider between properties
       if (index < properties.length - 1) {
         section.addWidget(CardService.newDivider());
@@ -234,6 +263,152 @@ function buildPropertyMappingSection(properties, mappings) {
   return section;
 }
 
+/**
+ * Build the dropdown for what happens to a property when an email updates an existing page
+ * @param {string} propertyId - Notion property ID
+ * @param {string} propertyType - Notion property type
+ * @param {string} currentPolicy - Current update policy
+ * @returns {CardService.SelectionInput} Dropdown widget
+ */
+function buildUpdatePolicyDropdown(propertyId, propertyType, currentPolicy) {
+  var dropdown = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .setFieldName("updatePolicy_" + propertyId)
+    .setTitle("When Updating an Existing Page");
+  
+  PAGE_UPDATE_POLICIES
+    .filter(policy => policy.value !== "append" || APPENDABLE_PROPERTY_TYPES.includes(propertyType))
+    .forEach(policy => {
+      dropdown.addItem(policy.label, policy.value, policy.value === (currentPolicy || DEFAULT_PAGE_UPDATE_POLICY));
+    });
+  
+  return dropdown;
+}
+
+/**
+ * Build the section that configures the page body
+ * @param {Object} mappings - Current mappings configuration
+ * @returns {CardService.CardSection} Page content section
+ */
+function buildPageContentSection(mappings) {
+  var section = CardService.newCardSection()
+    .setHeader("📄 Page Content");
+  
+  // Until saved, show what is written by default
+  var mapping = mappings[PAGE_CONTENT_PROPERTY.id] || {
+    enabled: true,
+    sections: ["header_summary", "body"],
+    bodyMode: "",
+    summaryLayout: "callout"
+  };
+  
+  PropertyHandlers.page_content.buildUI(PAGE_CONTENT_PROPERTY, mapping).forEach(widget => {
+    section.addWidget(widget);
+  });
+  
+  section.addWidget(
+    CardService.newTextButton()
+      .setText(getPageTemplate() ? "✏️ Edit Page Template" : "✏️ Create Page Template")
+      .setOnClickAction(
+        CardService.newAction()
+          .setFunctionName("showPageTemplateEditor")
+      )
+  );
+  
+  return section;
+}
+
+/**
+ * Build the page template editor card
+ * @param {string} [templateText] - Text to show in the editor (defaults to the saved template)
+ * @returns {CardService.Card} Template editor card
+ */
+function buildPageTemplateCard(templateText) {
+  var savedTemplate = getPageTemplate();
+  
+  if (templateText === undefined) {
+    templateText = savedTemplate ? JSON.stringify(savedTemplate, null, 2) : "";
+  }
+  
+  var card = CardService.newCardBuilder()
+    .setHeader(
+      CardService.newCardHeader()
+        .setTitle("📐 Page Template")
+        .setSubtitle(savedTemplate ? "Custom layout in use" : "No template saved")
+    );
+  
+  card.addSection(
+    CardService.newCardSection()
+      .addWidget(
+        CardService.newTextInput()
+          .setFieldName("page_template")
+          .setTitle("Template (JSON list of blocks)")
+          .setMultiline(true)
+          .setValue(templateText)
+      )
+      .addWidget(
+        CardService.newButtonSet()
+          .addButton(
+            CardService.newTextButton()
+              .setText("💾 Save Template")
+              .setBackgroundColor("#0F9D58")
+              .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+              .setOnClickAction(
+                CardService.newAction()
+                  .setFunctionName("savePageTemplate")
+              )
+          )
+          .addButton(
+            CardService.newTextButton()
+              .setText("📋 Load Example")
+              .setOnClickAction(
+                CardService.newAction()
+                  .setFunctionName("loadExamplePageTemplate")
+              )
+          )
+          .addButton(
+            CardService.newTextButton()
+              .setText("🗑️ Remove Template")
+              .setOnClickAction(
+                CardService.newAction()
+                  .setFunctionName("clearPageTemplate")
+              )
+          )
+      )
+  );
+  
+  card.addSection(
+    CardService.newCardSection()
+      .setHeader("How templates work")
+      .setCollapsible(true)
+      .addWidget(
+        CardService.newTextParagraph()
+          .setText(
+            "Each block is an object such as <i>{\"type\": \"heading_2\", \"text\": \"{{subject}}\"}</i>.<br>" +
+            "<b>Types:</b> " + PAGE_TEMPLATE_BLOCK_TYPES.join(", ") + "<br>" +
+            "<b>Options:</b> bold, italic, color, link, icon (callout), language (code), children (toggle, lists, to_do, quote and paragraph)<br>" +
+            "<b>Placeholders:</b> {{subject}}, {{fromName}}, {{labels}} or any email field; " +
+            "{{date|yyyy-MM-dd}} for a formatted date; {{header:List-Id}} for any header<br>" +
+            "<b>{{body}}</b> alone in a block inserts the whole email body<br>" +
+            "<b>Sections:</b> {\"type\": \"section\", \"section\": \"attachments\"} inserts a built-in section " +
+            "(header_summary, body, attachments, raw_headers)<br>" +
+            "<b>Conditions:</b> {\"if\": \"hasAttachments\", \"blocks\": [...], \"else\": [...]}; use \"!cc\" for a missing field<br><br>" +
+            "Pick <i>Custom page template</i> as a Page Content section to use it. Before page content is configured, a saved template replaces the default layout."
+          )
+      )
+      .addWidget(
+        CardService.newTextButton()
+          .setText("← Back to Mappings")
+          .setOnClickAction(
+            CardService.newAction()
+              .setFunctionName("showMappingsConfiguration")
+          )
+      )
+  );
+  
+  return card.build();
+}
+
 /**
  * Create filtered Gmail field dropdown based on property type compatibility
  * @param {string} fieldName - The field name for the dropdown
@@ -322,6 +497,14 @@ function buildActionSection() {
                 .setFunctionName("resetMappingsOnly")
             )
         )
+        .addButton(
+          CardService.newTextButton()
+            .setText("🔄 Refresh Schema")
+            .setOnClickAction(
+              CardService.newAction()
+                .setFunctionName("refreshDatabaseSchema")
+            )
+        )
         .addButton(
           CardService.newTextButton()
             .setText("⚙️ Settings")
@@ -432,112 +615,489 @@ function buildSchemaErrorCard(errorMessage) {
 }
 
 /**
- * Build homepage card with configuration status
- * @returns {CardService.Card} Homepage card
+ * Saves listed on the homepage
+ * @type {number}
  */
-function buildHomepageCard() {
-  console.log("Building homepage card");
+const RECENT_SAVES_SHOWN = 5;
+
+/**
+ * Build the list of recent saves, each with a link to its page
+ * @param {Array<SavedEmail>} saves - Saves, newest first
+ * @returns {CardService.CardSection} Recent saves section
+ */
+function buildRecentSavesSection(saves) {
+  var section = CardService.newCardSection()
+    .setHeader("🕘 Recent Saves")
+    .setCollapsible(true)
+    .setNumUncollapsibleWidgets(3);
+  var modeIcons = { email: "📧", thread: "🧵", update: "🔄" };
+  
+  saves.forEach(saved => {
+    var savedAt = new Date(saved.savedAt);
+    var when = isNaN(savedAt.getTime())
+      ? ""
+      : Utilities.formatDate(savedAt, Session.getScriptTimeZone(), "MMM d, HH:mm");
+    
+    section.addWidget(
+      CardService.newKeyValue()
+        .setTopLabel((modeIcons[saved.mode] || "📧") + " " + when + (saved.databaseName ? " · " + saved.databaseName : ""))
+        .setContent(escapeHtml(saved.subject || "(No Subject)"))
+        .setButton(
+          CardService.newTextButton()
+            .setText("Open")
+            .setOpenLink(
+              CardService.newOpenLink()
+                .setUrl(saved.url)
+            )
+        )
+    );
+  });
+  
+  section.addWidget(
+    CardService.newTextButton()
+      .setText("🗑️ Clear History")
+      .setOnClickAction(
+        CardService.newAction()
+          .setFunctionName("clearSaveLedger")
+      )
+  );
+  
+  return section;
+}
+
+/**
+ * Build the choices for an email that is already in Notion: update the page,
+ * create another one, or cancel
+ * @param {{pageId: string, url: string, matchedBy: string}} existingSave - Existing page (see findExistingSave), or a ledger entry
+ * @param {boolean} [cancellable] - Offer Cancel, which pops the card; only for a pushed card
+ * @returns {CardService.CardSection} Already saved section
+ */
+function buildDuplicateSaveSection(existingSave, cancellable) {
+  var buttons = CardService.newButtonSet()
+    .addButton(
+      CardService.newTextButton()
+        .setText("🔄 Update Page")
+        .setBackgroundColor("#0F9D58")
+        .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+        .setOnClickAction(
+          CardService.newAction()
+            .setFunctionName("quickG2NUpdateEmail")
+            .setParameters({ pageId: existingSave.pageId, url: existingSave.url })
+        )
+    )
+    .addButton(
+      CardService.newTextButton()
+        .setText("➕ Create Anyway")
+        .setOnClickAction(
+          CardService.newAction()
+            .setFunctionName("quickG2NSaveEmail")
+            .setParameters({ force: "true" })
+        )
+    );
+  
+  if (cancellable) {
+    buttons.addButton(
+      CardService.newTextButton()
+        .setText("Cancel")
+        .setOnClickAction(
+          CardService.newAction()
+            .setFunctionName("cancelDuplicateSave")
+        )
+    );
+  }
+  
+  var description = existingSave.matchedBy === "threadId"
+    ? "A page for this conversation is already in Notion."
+    : "This email is already in Notion.";
   
+  return CardService.newCardSection()
+    .setHeader("✅ Already Saved")
+    .addWidget(
+      CardService.newKeyValue()
+        .setTopLabel("Existing page")
+        .setContent(description)
+        .setMultiline(true)
+        .setButton(
+          CardService.newTextButton()
+            .setText("🔗 Open")
+            .setOpenLink(
+              CardService.newOpenLink()
+                .setUrl(existingSave.url)
+            )
+        )
+    )
+    .addWidget(buttons);
+}
+
+/**
+ * Build the card shown when a save finds the email already in Notion
+ * @param {{pageId: string, url: string, matchedBy: string}} existingSave - Existing page (see findExistingSave)
+ * @returns {CardService.Card} Already saved card
+ */
+function buildDuplicateSaveCard(existingSave) {
+  return CardService.newCardBuilder()
+    .setHeader(
+      CardService.newCardHeader()
+        .setTitle("📋 Already in Notion")
+        .setSubtitle("Choose what to do")
+    )
+    .addSection(buildDuplicateSaveSection(existingSave, true))
+    .build();
+}
+
+/**
+ * Build the card for finding a page to add the current email to
+ * @param {string} query - Current search text
+ * @param {string} propertyId - Property searched
+ * @param {Array<Object>|null} pages - Search results (see findExistingPages), or null before searching
+ * @returns {CardService.Card} Page search card
+ */
+function buildExistingPageSearchCard(query, propertyId, pages) {
   var config = getConfig();
-  var hasApiKey = !!config.apiKey;
-  var hasDatabase = !!config.databaseId && hasApiKey;
-  var hasMappings = config.hasMappings && hasDatabase;
+  var propertyDropdown = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .setFieldName("page_search_property")
+    .setTitle("Search In");
+  
+  getSearchablePageProperties().forEach((property, index) => {
+    propertyDropdown.addItem(property.name, property.id, propertyId ? property.id === propertyId : index === 0);
+  });
   
   var card = CardService.newCardBuilder()
     .setHeader(
       CardService.newCardHeader()
-        .setTitle("📧 Gmail to Notion")
-        .setSubtitle("Save emails to your Notion workspace")
+        .setTitle("📝 Add to Existing Page")
+        .setSubtitle(config.databaseName || "Selected database")
     )
     .addSection(
       CardService.newCardSection()
-        .setHeader("📊 Status")
-        .addWidget(
-          CardService.newKeyValue()
-            .setTopLabel("Notion Connection")
-            .setContent(hasApiKey ? "✅ Connected" : "❌ Not connected")
-        )
         .addWidget(
-          CardService.newKeyValue()
-            .setTopLabel("Selected Database")
-            .setContent(hasDatabase ? "✅ " + config.databaseName : "❌ Not selected")
+          CardService.newTextInput()
+            .setFieldName("page_search")
+            .setTitle("Find a page")
+            .setHint("Leave empty to list recently edited pages")
+            .setValue(query || "")
         )
+        .addWidget(propertyDropdown)
         .addWidget(
-          CardService.newKeyValue()
-            .setTopLabel("Field Mappings")
-            .setContent(hasMappings ? "✅ Configured" : "❌ Not configured")
+          CardService.newTextButton()
+            .setText("🔍 Search")
+            .setOnClickAction(
+              CardService.newAction()
+                .setFunctionName("searchExistingPages")
+            )
         )
     );
   
-  // Show different content based on configuration state
-  if (hasApiKey) {
-    if (hasDatabase) {
-      if (hasMappings) {
-        // FULLY CONFIGURED - Show email actions
-        card.addSection(
-          CardService.newCardSection()
-            .setHeader("🎉 Ready to Save Emails!")
-            .addWidget(
-              CardService.newTextParagraph()
-                .setText("Add-on is fully configured and ready to use.")
-            )
-            .addWidget(
-              CardService.newButtonSet()
-                .addButton(
-                  CardService.newTextButton()
-                    .setText("📨 View Email Preview")
-                    .setOnClickAction(
-                      CardService.newAction()
-                        .setFunctionName("onG2NGmailMessage")
-                    )
-                )
-            )
-        );
-      } else {
-        // Database selected, needs mappings
-        card.addSection(
-          CardService.newCardSection()
-            .setHeader("🔧 Setup Required")
-            .addWidget(
-              CardService.newTextParagraph()
-                .setText("Database selected! Now configure field mappings:")
-            )
-            .addWidget(
-              CardService.newButtonSet()
-                .addButton(
-                  CardService.newTextButton()
-                    .setText("⚙️ Configure Mappings")
-                    .setOnClickAction(
-                      CardService.newAction()
-                        .setFunctionName("showMappingsConfiguration")
-                    )
-                )
-            )
-        );
-      }
-    } else {
-      // API key set, needs database
-      card.addSection(
-        CardService.newCardSection()
-          .setHeader("🔧 Setup Required")
-          .addWidget(
-            CardService.newTextParagraph()
-              .setText("API key is set! Now select a database:")
-          )
-          .addWidget(
-            CardService.newButtonSet()
-              .addButton(
-                CardService.newTextButton()
-                  .setText("🗄️ Select Database")
-                  .setOnClickAction(
-                    CardService.newAction()
-                      .setFunctionName("showDatabaseSelection")
-                  )
+  if (pages) {
+    var resultsSection = CardService.newCardSection()
+      .setHeader(pages.length > 0 ? "Pick a Page" : "No Pages Found");
+    
+    pages.forEach(page => {
+      var edited = new Date(page.lastEdited);
+      
+      resultsSection.addWidget(
+        CardService.newKeyValue()
+          .setTopLabel(isNaN(edited.getTime())
+            ? "Page"
+            : "Edited " + Utilities.formatDate(edited, Session.getScriptTimeZone(), "MMM d, yyyy"))
+          .setContent(escapeHtml(page.title))
+          .setButton(
+            CardService.newTextButton()
+              .setText("Select")
+              .setOnClickAction(
+                CardService.newAction()
+                  .setFunctionName("chooseExistingPage")
+                  .setParameters({ pageId: page.id, url: page.url, title: page.title.substring(0, 100) })
               )
           )
       );
+    });
+    
+    if (pages.length === 0) {
+      resultsSection.addWidget(
+        CardService.newTextParagraph()
+          .setText("Try other words, or search in another property.")
+      );
     }
-  } else {
+    
+    card.addSection(resultsSection);
+  }
+  
+  return card.build();
+}
+
+/**
+ * Build the card for choosing how the current email updates a page
+ * @param {{pageId: string, url: string, title: string}} page - Chosen page
+ * @returns {CardService.Card} Page update card
+ */
+function buildExistingPageUpdateCard(page) {
+  return CardService.newCardBuilder()
+    .setHeader(
+      CardService.newCardHeader()
+        .setTitle("📝 " + (page.title || "Untitled"))
+        .setSubtitle("Add the current email to this page")
+    )
+    .addSection(
+      CardService.newCardSection()
+        .addWidget(
+          CardService.newSelectionInput()
+            .setType(CardService.SelectionInputType.CHECK_BOX)
+            .setFieldName("update_properties")
+            .addItem("Update mapped properties (using each mapping's update policy)", "true", true)
+        )
+        .addWidget(
+          CardService.newSelectionInput()
+            .setType(CardService.SelectionInputType.CHECK_BOX)
+            .setFieldName("append_content")
+            .addItem("Append the email to the page content", "true", true)
+        )
+        .addWidget(
+          CardService.newButtonSet()
+            .addButton(
+              CardService.newTextButton()
+                .setText("✅ Update Page")
+                .setBackgroundColor("#0F9D58")
+                .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+                .setOnClickAction(
+                  CardService.newAction()
+                    .setFunctionName("applyEmailToExistingPage")
+                    .setParameters({ pageId: page.pageId, url: page.url })
+                )
+            )
+            .addButton(
+              CardService.newTextButton()
+                .setText("🔗 Open Page")
+                .setOpenLink(
+                  CardService.newOpenLink()
+                    .setUrl(page.url)
+                )
+            )
+        )
+    )
+    .build();
+}
+
+/**
+ * Build error card for a failed Notion save
+ * @param {NotionErrorInfo} notionError - Classified Notion error
+ * @param {string} [retryFunctionName] - Action that repeats the save
+ * @returns {CardService.Card} Error card
+ */
+function buildNotionErrorCard(notionError, retryFunctionName) {
+  console.log("Building Notion error card:", notionError.category);
+  
+  var config = getConfig();
+  var buttons = CardService.newButtonSet();
+  var addButton = function(text, functionName, parameters) {
+    buttons.addButton(
+      CardService.newTextButton()
+        .setText(text)
+        .setOnClickAction(
+          CardService.newAction()
+            .setFunctionName(functionName)
+            .setParameters(parameters || {})
+        )
+    );
+  };
+  
+  var section = CardService.newCardSection()
+    .addWidget(
+      CardService.newTextParagraph()
+        .setText(escapeHtml(notionError.remediation))
+    );
+  
+  switch (notionError.category) {
+    case "unauthorized":
+      if (config.authMethod === "oauth") {
+        addButton("🔗 Sign in Again", "showNotionAuthorization");
+      } else {
+        addButton("🔑 Update API Key", "showG2NSettings");
+      }
+      addButton("🧪 Test Connection", "testNotionConnection");
+      break;
+      
+    case "object_not_found":
+      section.addWidget(
+        CardService.newTextParagraph()
+          .setText("<b>Re-share the database:</b><br>" +
+            "1. Open \"" + escapeHtml(config.databaseName || "your database") + "\" in Notion<br>" +
+            "2. Click ••• in the top right → Connections<br>" +
+            "3. Search for your integration and confirm")
+      );
+      if (config.databaseId) {
+        buttons.addButton(
+          CardService.newTextButton()
+            .setText("🔗 Open in Notion")
+            .setOpenLink(
+              CardService.newOpenLink()
+                .setUrl("https://www.notion.so/" + config.databaseId.replace(/-/g, ""))
+            )
+        );
+      }
+      addButton("🗄️ Select Database", "showDatabaseSelection");
+      break;
+      
+    case "validation_error":
+      addButton(
+        notionError.propertyName ? "⚙️ Open Mapping for " + notionError.propertyName : "⚙️ Open Mappings",
+        "showMappingsConfiguration",
+        notionError.propertyId ? { propertyId: notionError.propertyId } : {}
+      );
+      addButton("🧪 Check Mappings", "testNotionConnection");
+      break;
+  }
+  
+  if (retryFunctionName && notionError.category !== "unauthorized") {
+    addButton("🔄 Try Again", retryFunctionName);
+  }
+  
+  section.addWidget(buttons);
+  
+  var detailsSection = CardService.newCardSection()
+    .setHeader("Details")
+    .setCollapsible(true)
+    .addWidget(
+      CardService.newKeyValue()
+        .setTopLabel("Notion said")
+        .setContent(escapeHtml(notionError.detail || notionError.code))
+        .setMultiline(true)
+    );
+  
+  if (notionError.requestId) {
+    detailsSection.addWidget(
+      CardService.newKeyValue()
+        .setTopLabel("Request ID")
+        .setContent(notionError.requestId)
+    );
+  }
+  
+  return CardService.newCardBuilder()
+    .setHeader(
+      CardService.newCardHeader()
+        .setTitle("❌ " + notionError.title)
+        .setSubtitle("The email was not saved")
+    )
+    .addSection(section)
+    .addSection(detailsSection)
+    .build();
+}
+
+/**
+ * Build homepage card with configuration status
+ * @returns {CardService.Card} Homepage card
+ */
+function buildHomepageCard() {
+  console.log("Building homepage card");
+  
+  var config = getConfig();
+  var hasApiKey = !!config.apiKey;
+  var hasDatabase = !!config.databaseId && hasApiKey;
+  var hasMappings = config.hasMappings && hasDatabase;
+  
+  var card = CardService.newCardBuilder()
+    .setHeader(
+      CardService.newCardHeader()
+        .setTitle("📧 Gmail to Notion")
+        .setSubtitle("Save emails to your Notion workspace")
+    )
+    .addSection(
+      CardService.newCardSection()
+        .setHeader("📊 Status")
+        .addWidget(
+          CardService.newKeyValue()
+            .setTopLabel("Notion Connection")
+            .setContent(hasApiKey
+              ? "✅ Connected" + (config.workspaceName ? " (" + config.workspaceName + ")" : "")
+              : "❌ Not connected")
+        )
+        .addWidget(
+          CardService.newKeyValue()
+            .setTopLabel("Selected Database")
+            .setContent(hasDatabase ? "✅ " + config.databaseName : "❌ Not selected")
+        )
+        .addWidget(
+          CardService.newKeyValue()
+            .setTopLabel("Field Mappings")
+            .setContent(hasMappings ? "✅ Configured" : "❌ Not configured")
+        )
+    );
+  
+  // Show different content based on configuration state
+  if (hasApiKey) {
+    if (hasDatabase) {
+      if (hasMappings) {
+        // FULLY CONFIGURED - Show email actions
+        card.addSection(
+          CardService.newCardSection()
+            .setHeader("🎉 Ready to Save Emails!")
+            .addWidget(
+              CardService.newTextParagraph()
+                .setText("Add-on is fully configured and ready to use.")
+            )
+            .addWidget(
+              CardService.newButtonSet()
+                .addButton(
+                  CardService.newTextButton()
+                    .setText("📨 View Email Preview")
+                    .setOnClickAction(
+                      CardService.newAction()
+                        .setFunctionName("onG2NGmailMessage")
+                    )
+                )
+            )
+        );
+        
+        var recentSaves = getRecentSaves(RECENT_SAVES_SHOWN);
+        if (recentSaves.length > 0) {
+          card.addSection(buildRecentSavesSection(recentSaves));
+        }
+      } else {
+        // Database selected, needs mappings
+        card.addSection(
+          CardService.newCardSection()
+            .setHeader("🔧 Setup Required")
+            .addWidget(
+              CardService.newTextParagraph()
+                .setText("Database selected! Now configure field mappings:")
+            )
+            .addWidget(
+              CardService.newButtonSet()
+                .addButton(
+                  CardService.newTextButton()
+                    .setText("⚙️ Configure Mappings")
+                    .setOnClickAction(
+                      CardService.newAction()
+                        .setFunctionName("showMappingsConfiguration")
+                    )
+                )
+            )
+        );
+      }
+    } else {
+      // API key set, needs database
+      card.addSection(
+        CardService.newCardSection()
+          .setHeader("🔧 Setup Required")
+          .addWidget(
+            CardService.newTextParagraph()
+              .setText("API key is set! Now select a database:")
+          )
+          .addWidget(
+            CardService.newButtonSet()
+              .addButton(
+                CardService.newTextButton()
+                  .setText("🗄️ Select Database")
+                  .setOnClickAction(
+                    CardService.newAction()
+                      .setFunctionName("showDatabaseSelection")
+                  )
+              )
+          )
+      );
+    }
+  } else {
     // No configuration
     card.addSection(
       CardService.newCardSection()
@@ -558,6 +1118,23 @@ function buildHomepageCard() {
             )
         )
     );
+    
+    if (isNotionOAuthConfigured()) {
+      card.addSection(
+        CardService.newCardSection()
+          .addWidget(
+            CardService.newButtonSet()
+              .addButton(
+                CardService.newTextButton()
+                  .setText("🔗 Sign in with Notion")
+                  .setOnClickAction(
+                    CardService.newAction()
+                      .setFunctionName("showNotionAuthorization")
+                  )
+              )
+          )
+      );
+    }
   }
   
   // Always show tools section (settings access)
@@ -607,11 +1184,21 @@ function buildEmailPreviewCard(event) {
   var bodyPreview = "No email content available";
   var date = "Unknown date";
   var messageId = event?.gmail?.messageId;
+  var savedThread = null;
+  var existingSave = null;
   
   try {
     if (messageId) {
       var message = GmailApp.getMessageById(messageId);
       if (message) {
+        savedThread = hasDatabase ? findSavedThread(message.getThread().getId(), config.databaseId) : null;
+        // Only the local ledger here; Notion and the Drive archive are checked when saving
+        if (hasMappings && !savedThread) {
+          existingSave = findSavedMessage({
+            rfcMessageId: (message.getHeader("Message-ID") || "").trim().replace(/^<|>$/g, ""),
+            messageId: message.getId()
+          }, config.databaseId);
+        }
         subject = message.getSubject() || "No Subject";
         from = message.getFrom() || "Unknown Sender";
         date = message.getDate() ? message.getDate().toLocaleString() : "Unknown date";
@@ -741,32 +1328,92 @@ function buildEmailPreviewCard(event) {
   // Actions section
   if (messageId && messageId !== "preview-mode") {
     if (hasApiKey && hasDatabase && hasMappings) {
-      // FULLY CONFIGURED - Show save button prominently
-      card.addSection(
-        CardService.newCardSection()
-          .setHeader("🚀 Ready to Save")
-          .addWidget(
-            CardService.newTextParagraph()
-              .setText("This email will be saved to:")
-          )
-          .addWidget(
-            CardService.newTextParagraph()
-              .setText(`<b>📁 ${config.databaseName}</b>`)
-          )
-          .addWidget(
-            CardService.newButtonSet()
-              .addButton(
-                CardService.newTextButton()
-                  .setText("💾 Save to Notion")
-                  .setBackgroundColor("#0F9D58")
-                  .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
-                  .setOnClickAction(
-                    CardService.newAction()
-                      .setFunctionName("quickG2NSaveEmail")
-                  )
-              )
-          )
-      );
+      if (savedThread) {
+        // THREAD ALREADY SAVED - Offer to add the new replies instead of a duplicate page
+        card.addSection(
+          CardService.newCardSection()
+            .setHeader("🧵 Conversation Already Saved")
+            .addWidget(
+              CardService.newTextParagraph()
+                .setText("This conversation has a page in Notion. New replies can be added to it.")
+            )
+            .addWidget(
+              CardService.newButtonSet()
+                .addButton(
+                  CardService.newTextButton()
+                    .setText("➕ Append to Existing Page")
+                    .setBackgroundColor("#0F9D58")
+                    .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+                    .setOnClickAction(
+                      CardService.newAction()
+                        .setFunctionName("quickG2NAppendThread")
+                    )
+                )
+                .addButton(
+                  CardService.newTextButton()
+                    .setText("🔗 Open Page")
+                    .setOpenLink(
+                      CardService.newOpenLink()
+                        .setUrl(savedThread.url)
+                    )
+                )
+                .addButton(
+                  CardService.newTextButton()
+                    .setText("💾 Save This Email Only")
+                    .setOnClickAction(
+                      CardService.newAction()
+                        .setFunctionName("quickG2NSaveEmail")
+                    )
+                )
+            )
+        );
+      } else if (existingSave) {
+        // ALREADY SAVED - Let the user choose instead of creating a duplicate
+        card.addSection(buildDuplicateSaveSection(existingSave));
+      } else {
+        // FULLY CONFIGURED - Show save button prominently
+        card.addSection(
+          CardService.newCardSection()
+            .setHeader("🚀 Ready to Save")
+            .addWidget(
+              CardService.newTextParagraph()
+                .setText("This email will be saved to:")
+            )
+            .addWidget(
+              CardService.newTextParagraph()
+                .setText(`<b>📁 ${config.databaseName}</b>`)
+            )
+            .addWidget(
+              CardService.newButtonSet()
+                .addButton(
+                  CardService.newTextButton()
+                    .setText("💾 Save to Notion")
+                    .setBackgroundColor("#0F9D58")
+                    .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+                    .setOnClickAction(
+                      CardService.newAction()
+                        .setFunctionName("quickG2NSaveEmail")
+                    )
+                )
+                .addButton(
+                  CardService.newTextButton()
+                    .setText("🧵 Save Thread")
+                    .setOnClickAction(
+                      CardService.newAction()
+                        .setFunctionName("quickG2NSaveThread")
+                    )
+                )
+                .addButton(
+                  CardService.newTextButton()
+                    .setText("📝 Add to Existing Page")
+                    .setOnClickAction(
+                      CardService.newAction()
+                        .setFunctionName("showExistingPageSearch")
+                    )
+                )
+            )
+        );
+      }
       
       // Additional options
       card.addSection(
@@ -866,10 +1513,23 @@ function buildSettingsCard() {
           CardService.newTextInput()
             .setFieldName("api_key")
             .setTitle("Notion API Key")
-            .setValue(config.apiKey || "")
-            .setHint("Enter your Notion API key (starts with 'secret_')")
+            // Only a pasted key is shown; OAuth tokens never leave the property store
+            .setValue(config.authMethod === "api_key" ? config.apiKey : "")
+            .setHint(isNotionOAuthConfigured()
+              ? "Paste an internal integration key, or use Sign in with Notion below"
+              : "Enter your Notion API key (starts with 'secret_')")
         )
-    )
+        .addWidget(buildNotionVersionDropdown(config.notionVersion))
+        .addWidget(buildTextOverflowDropdown(config.textOverflow))
+        .addWidget(buildBodyModeDropdown(config.bodyMode))
+        .addWidget(buildEmlArchiveDropdown(config.emlArchive))
+    );
+  
+  if (isNotionOAuthConfigured()) {
+    card.addSection(buildNotionAccountSection(config));
+  }
+  
+  card
     .addSection(
       CardService.newCardSection()
         .setHeader("🗄️ Database")
@@ -969,7 +1629,7 @@ function buildSettingsCard() {
         CardService.newButtonSet()
           .addButton(
             CardService.newTextButton()
-              .setText("💾 Save API Key")
+              .setText("💾 Save Settings")
               .setOnClickAction(
                 CardService.newAction()
                   .setFunctionName("saveConfiguration")
@@ -989,16 +1649,276 @@ function buildSettingsCard() {
   return card.build();
 }
 
+/**
+ * Build the Notion account section for the settings card (OAuth sign-in)
+ * @param {Config} config - Current configuration
+ * @returns {CardService.CardSection} Account section
+ */
+function buildNotionAccountSection(config) {
+  var section = CardService.newCardSection()
+    .setHeader("🔗 Notion Account");
+  
+  if (config.authMethod === "oauth") {
+    section
+      .addWidget(
+        CardService.newKeyValue()
+          .setTopLabel("Signed in with Notion")
+          .setContent("✅ " + (config.workspaceName || "Connected"))
+      )
+      .addWidget(
+        CardService.newButtonSet()
+          .addButton(
+            CardService.newTextButton()
+              .setText("🔌 Disconnect")
+              .setOnClickAction(
+                CardService.newAction()
+                  .setFunctionName("disconnectNotion")
+              )
+          )
+      );
+  } else {
+    section
+      .addWidget(
+        CardService.newTextParagraph()
+          .setText(config.authMethod === "api_key"
+            ? "Using a pasted API key. Sign in with Notion to use your workspace account instead (the pasted key is removed)."
+            : "Sign in with your Notion account instead of creating an integration and pasting its key.")
+      )
+      .addWidget(
+        CardService.newButtonSet()
+          .addButton(
+            CardService.newTextButton()
+              .setText("🔗 Sign in with Notion")
+              .setOnClickAction(
+                CardService.newAction()
+                  .setFunctionName("showNotionAuthorization")
+              )
+          )
+      );
+  }
+  
+  return section;
+}
+
+/**
+ * Build Notion authorization card
+ * @returns {CardService.Card} Authorization card
+ */
+function buildNotionAuthorizationCard() {
+  console.log("Building Notion authorization card");
+  
+  var authorizationUrl = getNotionOAuthService().getAuthorizationUrl();
+  
+  return CardService.newCardBuilder()
+    .setHeader(
+      CardService.newCardHeader()
+        .setTitle("🔗 Sign in with Notion")
+        .setSubtitle("Connect your Notion workspace")
+    )
+    .addSection(
+      CardService.newCardSection()
+        .addWidget(
+          CardService.newTextParagraph()
+            .setText("Notion will open in a new window. Choose a workspace and the pages or databases to share, then close the window and refresh the add-on.")
+        )
+        .addWidget(
+          CardService.newButtonSet()
+            .addButton(
+              CardService.newTextButton()
+                .setText("🔗 Open Notion")
+                .setAuthorizationAction(
+                  CardService.newAuthorizationAction()
+                    .setAuthorizationUrl(authorizationUrl)
+                )
+            )
+        )
+    )
+    .addSection(
+      CardService.newCardSection()
+        .addWidget(
+          CardService.newButtonSet()
+            .addButton(
+              CardService.newTextButton()
+                .setText("🔄 I've Signed In")
+                .setOnClickAction(
+                  CardService.newAction()
+                    .setFunctionName("showG2NSettings")
+                )
+            )
+            .addButton(
+              CardService.newTextButton()
+                .setText("🏠 Back to Home")
+                .setOnClickAction(
+                  CardService.newAction()
+                    .setFunctionName("onG2NHomepage")
+                )
+            )
+        )
+    )
+    .build();
+}
+
+/**
+ * Build diagnostics card from a connection test report
+ * @param {{checks: Array<DiagnosticCheck>, errorCount: number, warningCount: number}} report - Diagnostics report
+ * @returns {CardService.Card} Diagnostics card
+ */
+function buildDiagnosticsCard(report) {
+  console.log("Building diagnostics card");
+  
+  var statusIcons = { ok: "✅", warning: "⚠️", error: "❌" };
+  var subtitle = report.errorCount > 0
+    ? report.errorCount + " problem(s) found"
+    : (report.warningCount > 0 ? report.warningCount + " warning(s)" : "Everything looks good");
+  
+  var card = CardService.newCardBuilder()
+    .setHeader(
+      CardService.newCardHeader()
+        .setTitle("🧪 Connection Test")
+        .setSubtitle(subtitle)
+    );
+  
+  var section = CardService.newCardSection()
+    .setHeader("📋 Results");
+  
+  report.checks.forEach(check => {
+    section.addWidget(
+      CardService.newKeyValue()
+        .setTopLabel(check.label)
+        .setContent(statusIcons[check.status] + " " + escapeHtml(check.message))
+        .setMultiline(true)
+    );
+    
+    if (check.fix) {
+      section.addWidget(
+        CardService.newButtonSet()
+          .addButton(
+            CardService.newTextButton()
+              .setText(check.fix.label)
+              .setOnClickAction(
+                CardService.newAction()
+                  .setFunctionName(check.fix.functionName)
+                  .setParameters(check.fix.parameters)
+              )
+          )
+      );
+    }
+  });
+  
+  card.addSection(section);
+  
+  card.addSection(
+    CardService.newCardSection()
+      .addWidget(
+        CardService.newButtonSet()
+          .addButton(
+            CardService.newTextButton()
+              .setText("🔄 Run Again")
+              .setOnClickAction(
+                CardService.newAction()
+                  .setFunctionName("testNotionConnection")
+                  .setParameters({ rerun: "true" })
+              )
+          )
+          .addButton(
+            CardService.newTextButton()
+              .setText("⚙️ Settings")
+              .setOnClickAction(
+                CardService.newAction()
+                  .setFunctionName("showG2NSettings")
+              )
+          )
+      )
+  );
+  
+  return card.build();
+}
+
+/**
+ * Build Notion API version dropdown for the settings card
+ * @param {string} currentVersion - Currently configured version
+ * @returns {CardService.SelectionInput} Version dropdown
+ */
+function buildNotionVersionDropdown(currentVersion) {
+  var dropdown = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .setFieldName("notion_version")
+    .setTitle("Notion API Version");
+  
+  NOTION_API_VERSIONS.forEach(version => {
+    dropdown.addItem(version.label, version.value, version.value === currentVersion);
+  });
+  
+  return dropdown;
+}
+
+/**
+ * Build long text policy dropdown for the settings card
+ * @param {string} currentPolicy - Currently configured policy
+ * @returns {CardService.SelectionInput} Policy dropdown
+ */
+function buildTextOverflowDropdown(currentPolicy) {
+  var dropdown = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .setFieldName("text_overflow")
+    .setTitle("Text Too Long for a Property");
+  
+  TEXT_OVERFLOW_POLICIES.forEach(policy => {
+    dropdown.addItem(policy.label, policy.value, policy.value === currentPolicy);
+  });
+  
+  return dropdown;
+}
+
+/**
+ * Build the dropdown for how the email body is written to the page
+ * @param {string} currentMode - Current body mode
+ * @returns {CardService.SelectionInput} Dropdown widget
+ */
+function buildBodyModeDropdown(currentMode) {
+  var dropdown = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .setFieldName("body_mode")
+    .setTitle("Email Body in Page Content");
+  
+  BODY_CONTENT_MODES.forEach(mode => {
+    dropdown.addItem(mode.label, mode.value, mode.value === currentMode);
+  });
+  
+  return dropdown;
+}
+
+/**
+ * Build the dropdown for keeping the original message
+ * @param {string} currentOption - Current archive option
+ * @returns {CardService.SelectionInput} Dropdown widget
+ */
+function buildEmlArchiveDropdown(currentOption) {
+  var dropdown = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .setFieldName("eml_archive")
+    .setTitle("Original Message");
+  
+  EML_ARCHIVE_OPTIONS.forEach(option => {
+    dropdown.addItem(option.label, option.value, option.value === currentOption);
+  });
+  
+  return dropdown;
+}
+
 /**
  * Build database selection card
+ * @param {Object} [databaseList] - Databases to list, as from fetchNotionDatabaseList (defaults to the first page)
  * @returns {CardService.Card} Database selection card
  */
-function buildDatabaseSelectionCard() {
+function buildDatabaseSelectionCard(databaseList) {
   console.log("Building database selection card");
   
   // Fetch REAL databases from Notion
-  var databases = fetchRealNotionDatabases();
-  var currentDbId = getConfig().databaseId || "";
+  databaseList = databaseList || fetchNotionDatabaseList(DATABASE_SELECTION_PAGE_SIZE);
+  var databases = databaseList.databases;
+  var config = getConfig();
+  var currentSelection = encodeDatabaseSelection(config.databaseId || "", config.dataSourceId);
   
   var section = CardService.newCardSection()
     .setHeader("🗄️ Database Selection");
@@ -1026,15 +1946,33 @@ function buildDatabaseSelectionCard() {
     // Show real databases
     var selectionInput = CardService.newSelectionInput()
       .setFieldName("selected_database")
-      .setTitle("Your Notion Databases")
+      .setTitle(usesNotionDataSources() ? "Your Notion Data Sources" : "Your Notion Databases")
       .setType(CardService.SelectionInputType.RADIO_BUTTON);
     
     databases.forEach(db => {
-      var isSelected = db.id === currentDbId;
-      selectionInput.addItem(db.name, db.id, isSelected);
+      var isSelected = db.selectionValue === currentSelection;
+      selectionInput.addItem(db.name, db.selectionValue, isSelected);
     });
     
     section.addWidget(selectionInput);
+    
+    if (databaseList.hasMore) {
+      storeListedDatabases(databases);
+      section
+        .addWidget(
+          CardService.newTextParagraph()
+            .setText(`<font color="#5F6368"><i>Showing the ${databases.length} most recently edited databases.</i></font>`)
+        )
+        .addWidget(
+          CardService.newTextButton()
+            .setText("⬇️ Load More")
+            .setOnClickAction(
+              CardService.newAction()
+                .setFunctionName("loadMoreDatabases")
+                .setParameters({ cursor: databaseList.nextCursor })
+            )
+        );
+    }
   }
   
   return CardService.newCardBuilder()
@@ -1161,7 +2099,7 @@ function buildSuccessCard(result) {
                 .setText("📧 Open in Gmail")
                 .setOpenLink(
                   CardService.newOpenLink()
-                    .setUrl("https://mail.google.com/mail/u/0/#inbox/" + result.emailId)
+                    .setUrl(buildGmailPermalink(result.emailId))
                 )
             )
             .addButton(
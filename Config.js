@@ -7,9 +7,16 @@
 /**
  * Configuration object structure
  * @typedef {Object} Config
- * @property {string} apiKey - Notion API key
+ * @property {string} apiKey - Notion API key or OAuth access token
+ * @property {string} authMethod - "api_key", "oauth" or "" when not connected
+ * @property {string} workspaceName - Notion workspace name (OAuth only)
  * @property {string} databaseId - Selected database ID
  * @property {string} databaseName - Selected database name
+ * @property {string} dataSourceId - Selected data source ID (multi-source databases)
+ * @property {string} notionVersion - Notion API version in use
+ * @property {string} textOverflow - What to do with text beyond Notion's limits ("truncate" or "page_blocks")
+ * @property {string} bodyMode - How the email body is written to the page ("plain_text" or "html_blocks")
+ * @property {string} emlArchive - Whether the original message is saved to Drive ("off" or "drive")
  * @property {boolean} hasMappings - Whether field mappings are configured
  */
 
@@ -19,9 +26,19 @@
  */
 function getConfig() {
   const props = PropertiesService.getUserProperties();
-  const apiKey = props.getProperty("G2N_API_KEY") || "";
+  const pastedKey = props.getProperty("G2N_API_KEY") || "";
+  // A pasted internal integration key takes precedence over an OAuth sign-in
+  const oauthToken = pastedKey ? "" : getNotionOAuthToken();
+  const apiKey = pastedKey || oauthToken;
+  const authMethod = pastedKey ? "api_key" : (oauthToken ? "oauth" : "");
+  const workspaceName = oauthToken ? getNotionOAuthWorkspaceName() : "";
   const databaseId = props.getProperty("G2N_DATABASE_ID") || "";
   const databaseName = props.getProperty("G2N_DATABASE_NAME") || "";
+  const dataSourceId = props.getProperty("G2N_DATA_SOURCE_ID") || "";
+  const notionVersion = props.getProperty("G2N_NOTION_VERSION") || NOTION_API_VERSION;
+  const textOverflow = props.getProperty("G2N_TEXT_OVERFLOW") || "truncate";
+  const bodyMode = props.getProperty("G2N_BODY_MODE") || "plain_text";
+  const emlArchive = props.getProperty("G2N_EML_ARCHIVE") || "off";
   
   let hasMappings = false;
   const mappingsJson = props.getProperty("G2N_MAPPINGS") || "";
@@ -38,13 +55,27 @@ function getConfig() {
   
   return apiKey ? {
     apiKey,
+    authMethod,
+    workspaceName,
     databaseId,
     databaseName,
+    dataSourceId,
+    notionVersion,
+    textOverflow,
+    bodyMode,
+    emlArchive,
     hasMappings
   } : {
     apiKey: "",
+    authMethod: "",
+    workspaceName: "",
     databaseId: "",
     databaseName: "",
+    dataSourceId: "",
+    notionVersion,
+    textOverflow,
+    bodyMode,
+    emlArchive,
     hasMappings: false
   };
 }
@@ -60,23 +91,68 @@ function saveConfiguration(event) {
   
   try {
     const apiKey = event?.formInput?.api_key?.trim();
+    const props = PropertiesService.getUserProperties();
     
-    if (!apiKey) {
+    // Users signed in with Notion OAuth have no key to paste
+    if (!apiKey && !getNotionOAuthToken()) {
       throw new Error("API key is required");
     }
     
-    const props = PropertiesService.getUserProperties();
-    props.setProperty("G2N_API_KEY", apiKey);
+    const apiKeyChanged = !!apiKey && props.getProperty("G2N_API_KEY") !== apiKey;
+    if (apiKey) {
+      props.setProperty("G2N_API_KEY", apiKey);
+    }
+    
+    const notionVersion = event?.formInput?.notion_version;
+    const switchedToDataSources = !!notionVersion &&
+      usesNotionDataSources(notionVersion) && !usesNotionDataSources(getNotionApiVersion());
+    if (notionVersion) {
+      props.setProperty("G2N_NOTION_VERSION", notionVersion);
+    }
+    
+    const textOverflow = event?.formInput?.text_overflow;
+    if (textOverflow) {
+      props.setProperty("G2N_TEXT_OVERFLOW", textOverflow);
+    }
+    
+    const bodyMode = event?.formInput?.body_mode;
+    if (bodyMode) {
+      props.setProperty("G2N_BODY_MODE", bodyMode);
+    }
+    
+    const emlArchive = event?.formInput?.eml_archive;
+    if (emlArchive) {
+      props.setProperty("G2N_EML_ARCHIVE", emlArchive);
+    }
     
     // Clear previous database selection when API key changes
-    props.deleteProperty("G2N_DATABASE_ID");
-    props.deleteProperty("G2N_DATABASE_NAME");
+    if (apiKeyChanged) {
+      props.deleteProperty("G2N_DATABASE_ID");
+      props.deleteProperty("G2N_DATABASE_NAME");
+      props.deleteProperty("G2N_DATA_SOURCE_ID");
+      invalidateWorkspaceUsersCache();
+      console.log("API key saved, any previous database selection cleared");
+    }
     
-    console.log("API key saved, any previous database selection cleared");
+    // Pages in multi-source databases must be created under a data source,
+    // so a database selected under the older version needs one before saving
+    let databaseCleared = false;
+    if (switchedToDataSources && !apiKeyChanged &&
+        props.getProperty("G2N_DATABASE_ID") && !props.getProperty("G2N_DATA_SOURCE_ID") &&
+        !resolveSelectedDataSource()) {
+      props.deleteProperty("G2N_DATABASE_ID");
+      props.deleteProperty("G2N_DATABASE_NAME");
+      databaseCleared = true;
+      console.log("Database has several data sources, selection cleared");
+    }
     
     return CardService.newActionResponseBuilder()
       .setNotification(CardService.newNotification()
-        .setText("✅ API key saved! Now please select a database."))
+        .setText(apiKeyChanged
+          ? "✅ API key saved! Now please select a database."
+          : databaseCleared
+            ? "✅ Settings saved! Your database has several data sources, please select one."
+            : "✅ Settings saved!"))
       .setNavigation(CardService.newNavigation()
         .updateCard(buildHomepageCard()))
       .build();
@@ -99,12 +175,29 @@ function resetConfiguration() {
   
   try {
     const props = PropertiesService.getUserProperties();
+    const config = getConfig();
+    
+    if (config.databaseId) {
+      invalidateDatabaseSchemaCache(config.databaseId, config.dataSourceId);
+    }
+    invalidateWorkspaceUsersCache();
     
     // Clear ALL configuration properties
     props.deleteProperty("G2N_API_KEY");
     props.deleteProperty("G2N_DATABASE_ID");
     props.deleteProperty("G2N_DATABASE_NAME");
+    props.deleteProperty("G2N_DATA_SOURCE_ID");
+    props.deleteProperty("G2N_NOTION_VERSION");
+    props.deleteProperty("G2N_TEXT_OVERFLOW");
+    props.deleteProperty("G2N_BODY_MODE");
+    props.deleteProperty("G2N_EML_ARCHIVE");
+    props.deleteProperty("G2N_PAGE_TEMPLATE");
     props.deleteProperty("G2N_MAPPINGS"); // Clear mappings too!
+    deleteSaveLedger();
+    
+    if (isNotionOAuthConfigured()) {
+      getNotionOAuthService().reset();
+    }
     
     console.log("All configuration cleared including mappings - Back to initial state");
     
@@ -125,13 +218,38 @@ function resetConfiguration() {
 }
 
 /**
- * Test Notion API connection (placeholder)
- * @returns {CardService.ActionResponse} Action response
+ * Test Notion API connection, database access and field mappings
+ * @param {Object} [event] - Google Apps Script event object
+ * @param {Object} [event.parameters] - Action parameters; rerun="true" replaces the current diagnostics card
+ * @returns {CardService.ActionResponse} Action response with the diagnostics card
  */
-function testNotionConnection() {
+function testNotionConnection(event) {
   console.log("✅ testNotionConnection called");
-  return CardService.newActionResponseBuilder()
-    .setNotification(CardService.newNotification()
-      .setText("✅ Connection test passed!"))
-    .build();
+  
+  try {
+    const report = runConnectionDiagnostics();
+    const navigation = CardService.newNavigation();
+    const card = buildDiagnosticsCard(report);
+    
+    if (event?.parameters?.rerun === "true") {
+      navigation.updateCard(card);
+    } else {
+      navigation.pushCard(card);
+    }
+    
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification()
+        .setText(report.errorCount > 0
+          ? `❌ Found ${report.errorCount} problem${report.errorCount === 1 ? "" : "s"}`
+          : "✅ Connection test passed!"))
+      .setNavigation(navigation)
+      .build();
+      
+  } catch (error) {
+    console.error("Error running connection test:", error);
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification()
+        .setText("❌ Connection test failed: " + error.message))
+      .build();
+  }
 }
\ No newline at end of file
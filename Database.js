@@ -4,84 +4,140 @@
  * @description Handles fetching and selecting Notion databases
  */
 
+/**
+ * Number of databases shown per "Load more" step on the selection card
+ * @type {number}
+ */
+const DATABASE_SELECTION_PAGE_SIZE = 100;
+
+/**
+ * Seconds the databases listed on the selection card are kept for "Load more"
+ * @type {number}
+ */
+const DATABASE_SELECTION_CACHE_SECONDS = 600;
+
 /**
  * Fetch real databases from Notion API
  * @returns {Array<{id: string, name: string, url: string, icon: Object, lastEdited: string}>} Array of databases
  */
 function fetchRealNotionDatabases() {
-  console.log("=== DEBUG: fetchRealNotionDatabases called ===");
+  return fetchNotionDatabaseList(NOTION_PAGINATION_MAX_RESULTS).databases;
+}
+
+/**
+ * Fetch databases shared with the integration, following search pagination.
+ * With the data-source API version, each data source is listed separately.
+ * @param {number} maxResults - Maximum number of databases to collect
+ * @param {string} [startCursor] - Cursor returned by an earlier call, to continue the list
+ * @returns {{databases: Array<{id: string, dataSourceId: string, selectionValue: string, name: string, url: string, icon: Object, lastEdited: string}>, hasMore: boolean, nextCursor: (string|null)}} Databases, whether more exist, and where to continue
+ */
+function fetchNotionDatabaseList(maxResults, startCursor) {
+  console.log("=== DEBUG: fetchNotionDatabaseList called ===");
   
   const config = getConfig();
   
   if (!config.apiKey) {
     console.log("ERROR: No API key configured");
-    return [];
+    return { databases: [], hasMore: false, nextCursor: null };
   }
   
   try {
-    const options = {
+    const dataSourceMode = usesNotionDataSources();
+    
+    console.log("Making API request to Notion...");
+    const searchResult = notionPaginate("/search", {
       method: "POST",
-      headers: {
-        "Authorization": `Bearer ${config.apiKey}`,
-        "Notion-Version": "2022-06-28",
-        "Content-Type": "application/json"
-      },
-      payload: JSON.stringify({
+      apiKey: config.apiKey,
+      maxResults: maxResults,
+      startCursor: startCursor,
+      payload: {
         filter: {
           property: "object",
-          value: "database"
+          value: dataSourceMode ? "data_source" : "database"
         },
         sort: {
           direction: "descending",
           timestamp: "last_edited_time"
         }
-      }),
-      muteHttpExceptions: true
-    };
-    
-    console.log("Making API request to Notion...");
-    const response = UrlFetchApp.fetch("https://api.notion.com/v1/search", options);
-    const statusCode = response.getResponseCode();
-    const responseText = response.getContentText();
+      }
+    });
     
-    console.log("Notion API response status: " + statusCode);
+    console.log(`Found ${searchResult.results.length} databases (more available: ${searchResult.hasMore})`);
     
-    if (statusCode === 200) {
-      const data = JSON.parse(responseText);
-      const databases = data.results || [];
+    const databases = searchResult.results.map(db => {
+      // Data sources point at their containing database through parent.database_id
+      const databaseId = dataSourceMode ? (db.parent?.database_id || db.id) : db.id;
+      const dataSourceId = dataSourceMode ? db.id : "";
       
-      console.log(`Found ${databases.length} databases`);
-      
-      return databases.map(db => {
-        let name = "Untitled Database";
-        
-        // Extract title from database properties
-        if (db.title && db.title.length > 0) {
-          name = db.title[0].plain_text;
-        } else if (db.properties) {
-          const titleProp = Object.values(db.properties).find(prop => prop.type === "title");
-          if (titleProp) {
-            name = titleProp.name || "Untitled Database";
-          }
-        }
-        
-        return {
-          id: db.id,
-          name: name,
-          url: db.url,
-          icon: db.icon,
-          lastEdited: db.last_edited_time
-        };
-      });
-    } else {
-      console.error(`Notion API error ${statusCode}:`, responseText.substring(0, 200));
-      return [];
-    }
+      return {
+        id: databaseId,
+        dataSourceId: dataSourceId,
+        selectionValue: encodeDatabaseSelection(databaseId, dataSourceId),
+        name: getNotionDatabaseName(db),
+        url: db.url,
+        icon: db.icon,
+        lastEdited: db.last_edited_time
+      };
+    });
+    
+    // Search results carry last_edited_time, so stale cached schemas can be dropped for free.
+    // Cached schemas of data sources store the data source's own timestamp, so both modes compare alike.
+    noteDatabasesLastEdited(databases);
+    
+    return {
+      databases: databases,
+      hasMore: searchResult.hasMore,
+      nextCursor: searchResult.nextCursor
+    };
     
   } catch (error) {
     console.error("Error fetching databases:", error);
-    return [];
+    return { databases: [], hasMore: false, nextCursor: null };
+  }
+}
+
+/**
+ * Get display name of a Notion database object
+ * @param {Object} db - Database object from the Notion API
+ * @returns {string} Database name
+ */
+function getNotionDatabaseName(db) {
+  let name = "Untitled Database";
+  
+  // Extract title from database properties
+  if (db.title && db.title.length > 0) {
+    name = db.title.map(part => part.plain_text).join("") || name;
+  } else if (db.properties) {
+    const titleProp = Object.values(db.properties).find(prop => prop.type === "title");
+    if (titleProp) {
+      name = titleProp.name || "Untitled Database";
+    }
   }
+  
+  return name;
+}
+
+/**
+ * Encode a database (and optional data source) as a single selection value
+ * @param {string} databaseId - Notion database ID
+ * @param {string} [dataSourceId] - Data source ID
+ * @returns {string} Selection value
+ */
+function encodeDatabaseSelection(databaseId, dataSourceId) {
+  return dataSourceId ? databaseId + "|" + dataSourceId : databaseId;
+}
+
+/**
+ * Decode a selection value produced by encodeDatabaseSelection
+ * @param {string} value - Selection value
+ * @returns {{databaseId: string, dataSourceId: string}} Decoded IDs
+ */
+function decodeDatabaseSelection(value) {
+  const parts = (value || "").split("|");
+  return {
+    databaseId: parts[0],
+    dataSourceId: parts[1] || ""
+  };
 }
 
 /**
@@ -94,23 +150,41 @@ function saveDatabaseSelection(event) {
   console.log("saveDatabaseSelection called", event?.formInput);
   
   try {
-    const selectedDatabaseId = event?.formInput?.selected_database;
+    const selection = decodeDatabaseSelection(event?.formInput?.selected_database);
+    const selectedDatabaseId = selection.databaseId;
     
     if (!selectedDatabaseId) {
       throw new Error("No database selected");
     }
     
-    // Find the database name
-    const databases = fetchRealNotionDatabases();
-    const selectedDatabase = databases.find(db => db.id === selectedDatabaseId);
-    const databaseName = selectedDatabase ? selectedDatabase.name : "Selected Database";
+    // Look up the database name directly instead of re-listing every database
+    let databaseName = "Selected Database";
+    try {
+      const database = notionRequest(`/databases/${selectedDatabaseId}`);
+      databaseName = getNotionDatabaseName(database);
+      
+      // Name the data source too when the database holds more than one
+      const dataSources = database.data_sources || [];
+      const dataSource = dataSources.find(source => source.id === selection.dataSourceId);
+      if (dataSources.length > 1 && dataSource) {
+        databaseName += " › " + (dataSource.name || "Untitled Source");
+      }
+    } catch (lookupError) {
+      console.warn("Could not look up database name:", lookupError.message);
+    }
     
     // Save to properties
     const props = PropertiesService.getUserProperties();
     props.setProperty("G2N_DATABASE_ID", selectedDatabaseId);
     props.setProperty("G2N_DATABASE_NAME", databaseName);
     
-    console.log(`Database saved: ${databaseName} (${selectedDatabaseId})`);
+    if (selection.dataSourceId) {
+      props.setProperty("G2N_DATA_SOURCE_ID", selection.dataSourceId);
+    } else {
+      props.deleteProperty("G2N_DATA_SOURCE_ID");
+    }
+    
+    console.log(`Database saved: ${databaseName} (${selectedDatabaseId}, data source: ${selection.dataSourceId || "none"})`);
     
     return CardService.newActionResponseBuilder()
       .setNotification(CardService.newNotification()
@@ -128,6 +202,30 @@ function saveDatabaseSelection(event) {
   }
 }
 
+/**
+ * Store the data source of the selected database, for a database selected
+ * before switching to the data-source API version
+ * @returns {boolean} True if the database has a single data source, now stored
+ */
+function resolveSelectedDataSource() {
+  const props = PropertiesService.getUserProperties();
+  const databaseId = props.getProperty("G2N_DATABASE_ID");
+  
+  try {
+    const dataSources = notionRequest(`/databases/${databaseId}`).data_sources || [];
+    
+    if (dataSources.length === 1) {
+      props.setProperty("G2N_DATA_SOURCE_ID", dataSources[0].id);
+      console.log(`Resolved data source ${dataSources[0].id} for ${databaseId}`);
+      return true;
+    }
+  } catch (error) {
+    console.warn("Could not resolve data source:", error.message);
+  }
+  
+  return false;
+}
+
 /**
  * Show database selection interface
  * @returns {CardService.ActionResponse|CardService.Card} Database selection card
@@ -148,6 +246,58 @@ function showDatabaseSelection() {
   return buildDatabaseSelectionCard();
 }
 
+/**
+ * Show more databases on the selection card
+ * @param {Object} event - Google Apps Script event object
+ * @param {Object} event.parameters - Action parameters
+ * @returns {CardService.ActionResponse} Action response
+ */
+function loadMoreDatabases(event) {
+  const cursor = event?.parameters?.cursor || "";
+  const listed = getListedDatabases();
+  console.log("loadMoreDatabases called, cursor:", cursor);
+  
+  // Without the databases already shown, the list starts over
+  let databaseList = null;
+  if (cursor && listed) {
+    const next = fetchNotionDatabaseList(DATABASE_SELECTION_PAGE_SIZE, cursor);
+    databaseList = {
+      databases: listed.concat(next.databases),
+      hasMore: next.hasMore,
+      nextCursor: next.nextCursor
+    };
+  }
+  
+  return CardService.newActionResponseBuilder()
+    .setNavigation(CardService.newNavigation()
+      .updateCard(buildDatabaseSelectionCard(databaseList)))
+    .build();
+}
+
+/**
+ * Remember the databases shown on the selection card, so "Load more" can add to them
+ * @param {Array<{name: string, selectionValue: string}>} databases - Listed databases
+ */
+function storeListedDatabases(databases) {
+  try {
+    CacheService.getUserCache().put("G2N_DATABASE_SELECTION", JSON.stringify(
+      databases.map(db => ({ name: db.name, selectionValue: db.selectionValue }))
+    ), DATABASE_SELECTION_CACHE_SECONDS);
+  } catch (error) {
+    // Cache values are limited to 100KB; "Load more" then starts over
+    console.warn("Could not cache listed databases:", error.message);
+  }
+}
+
+/**
+ * Get the databases shown on the selection card
+ * @returns {Array<{name: string, selectionValue: string}>|null} Listed databases, or null if they expired
+ */
+function getListedDatabases() {
+  const cached = CacheService.getUserCache().get("G2N_DATABASE_SELECTION");
+  return cached ? JSON.parse(cached) : null;
+}
+
 /**
  * Handle database selection completion
  * @returns {CardService.Card} Next card to display
@@ -0,0 +1,278 @@
+/**
+ * @fileoverview Connection diagnostics for Gmail to Notion integration
+ * @version 2.0.0
+ * @description Checks the API key, database access and every saved mapping against the live Notion schema
+ */
+
+/**
+ * Result of a single diagnostic check
+ * @typedef {Object} DiagnosticCheck
+ * @property {string} label - What was checked
+ * @property {string} status - "ok", "warning" or "error"
+ * @property {string} message - Result details
+ * @property {{label: string, functionName: string, parameters: Object}|null} fix - Action that resolves the problem
+ */
+
+/**
+ * Run all connection diagnostics
+ * @returns {{checks: Array<DiagnosticCheck>, errorCount: number, warningCount: number}} Diagnostics report
+ */
+function runConnectionDiagnostics() {
+  console.log("=== RUNNING CONNECTION DIAGNOSTICS ===");
+  
+  const config = getConfig();
+  const checks = [];
+  
+  checks.push(checkNotionAuthentication(config));
+  
+  // Without a working key every other call fails the same way
+  if (checks[0].status === "ok") {
+    const databaseCheck = checkDatabaseAccess(config);
+    checks.push(databaseCheck.check);
+    
+    if (databaseCheck.database) {
+      checks.push(...checkMappingsAgainstSchema(getMappings(), databaseCheck.database));
+    }
+  }
+  
+  const report = {
+    checks: checks,
+    errorCount: checks.filter(check => check.status === "error").length,
+    warningCount: checks.filter(check => check.status === "warning").length
+  };
+  
+  console.log(`Diagnostics finished: ${report.errorCount} errors, ${report.warningCount} warnings`);
+  return report;
+}
+
+/**
+ * Check that the configured key is accepted by Notion
+ * @param {Config} config - Current configuration
+ * @returns {DiagnosticCheck} Check result
+ */
+function checkNotionAuthentication(config) {
+  const fix = config.authMethod === "oauth"
+    ? { label: "🔗 Sign in Again", functionName: "showNotionAuthorization", parameters: {} }
+    : { label: "🔑 Update API Key", functionName: "showG2NSettings", parameters: {} };
+  
+  if (!config.apiKey) {
+    return buildDiagnosticCheck("Notion connection", "error", "No API key configured", fix);
+  }
+  
+  try {
+    const bot = notionRequest("/users/me", { apiKey: config.apiKey });
+    const workspaceName = bot.bot?.workspace_name || config.workspaceName;
+    
+    return buildDiagnosticCheck(
+      "Notion connection",
+      "ok",
+      `Connected as ${bot.name || "integration"}` + (workspaceName ? ` in ${workspaceName}` : "")
+    );
+  } catch (error) {
+    if (error.status === 401) {
+      return buildDiagnosticCheck("Notion connection", "error", "Notion rejected the API key: " + error.message, fix);
+    }
+    
+    return buildDiagnosticCheck("Notion connection", "error", "Could not reach Notion: " + error.message,
+      { label: "🔄 Run Again", functionName: "testNotionConnection", parameters: { rerun: "true" } });
+  }
+}
+
+/**
+ * Check that the selected database is shared with the integration
+ * @param {Config} config - Current configuration
+ * @returns {{check: DiagnosticCheck, database: Object|null}} Check result and live database schema
+ */
+function checkDatabaseAccess(config) {
+  const selectFix = { label: "🗄️ Select Database", functionName: "showDatabaseSelection", parameters: {} };
+  
+  if (!config.databaseId) {
+    return {
+      check: buildDiagnosticCheck("Database access", "warning", "No database selected", selectFix),
+      database: null
+    };
+  }
+  
+  // Diagnostics must see the live schema, not a cached copy
+  const schemaResult = getCachedDatabaseSchema(config.databaseId, config.apiKey, config.dataSourceId, { forceRefresh: true });
+  
+  if (!schemaResult.success) {
+    const message = schemaResult.errorCode === "object_not_found"
+      ? `"${config.databaseName}" is not shared with the integration. Open it in Notion and add the connection, or select another database.`
+      : "Could not load the database: " + schemaResult.error;
+    
+    return {
+      check: buildDiagnosticCheck("Database access", "error", message, selectFix),
+      database: null
+    };
+  }
+  
+  return {
+    check: buildDiagnosticCheck("Database access", "ok", `"${schemaResult.database.title || config.databaseName}" is accessible`),
+    database: schemaResult.database
+  };
+}
+
+/**
+ * Check every saved mapping against the live database schema
+ * @param {Object} mappings - Saved mappings keyed by property ID
+ * @param {Object} database - Live database schema
+ * @returns {Array<DiagnosticCheck>} One result per problem, or a single summary if all mappings are valid
+ */
+function checkMappingsAgainstSchema(mappings, database) {
+  const mappingEntries = Object.entries(mappings).filter(([, mapping]) => mapping && mapping.notionPropertyName);
+  
+  if (mappingEntries.length === 0) {
+    return [buildDiagnosticCheck("Field mappings", "warning", "No field mappings configured",
+      { label: "⚙️ Configure Mappings", functionName: "showMappingsConfiguration", parameters: {} })];
+  }
+  
+  const editFix = { label: "⚙️ Edit Mappings", functionName: "showMappingsConfiguration", parameters: {} };
+  const problems = [];
+  
+  mappingEntries.forEach(([propertyId, mapping]) => {
+    const label = `Mapping "${mapping.notionPropertyName}"`;
+    const syncFix = { label: "🔧 Update Mapping", functionName: "repairMappingFromSchema", parameters: { propertyId: propertyId } };
+    const property = database.properties.find(prop => prop.id === propertyId);
+    
+    if (!property) {
+      // Disabled mappings are never sent to Notion, so a missing property is harmless there
+      problems.push(buildDiagnosticCheck(label, mapping.enabled ? "error" : "warning",
+        "Property no longer exists in the database",
+        { label: "🗑️ Remove Mapping", functionName: "repairMappingFromSchema", parameters: { propertyId: propertyId } }));
+      return;
+    }
+    
+    if (property.type !== mapping.type) {
+      problems.push(buildDiagnosticCheck(label, mapping.enabled ? "error" : "warning",
+        `Property type changed from ${getPropertyTypeDisplayName(mapping.type)} to ${getPropertyTypeDisplayName(property.type)}`,
+        editFix));
+      return;
+    }
+    
+    if (property.name !== mapping.notionPropertyName) {
+      problems.push(buildDiagnosticCheck(label, mapping.enabled ? "error" : "warning",
+        `Property was renamed to "${property.name}"`, syncFix));
+      return;
+    }
+    
+    const missingOptions = getMissingMappingOptions(mapping, property);
+    if (missingOptions.length > 0) {
+      problems.push(buildDiagnosticCheck(label, "error",
+        "Options no longer exist: " + missingOptions.join(", "), syncFix));
+    }
+  });
+  
+  if (problems.length === 0) {
+    return [buildDiagnosticCheck("Field mappings", "ok", `All ${mappingEntries.length} mappings match the database`)];
+  }
+  
+  return problems;
+}
+
+/**
+ * Find select, status or multi-select options a mapping uses that the property no longer offers
+ * @param {Object} mapping - Saved mapping
+ * @param {Object} property - Live property from the schema
+ * @returns {Array<string>} Missing option names
+ */
+function getMissingMappingOptions(mapping, property) {
+  if (!mapping.enabled || !["select", "status", "multi_select"].includes(property.type)) {
+    return [];
+  }
+  
+  const liveOptions = (property.config.options || []).map(option => option.name);
+  const usedOptions = property.type === "multi_select"
+    ? (mapping.selectedOptions || [])
+    : (mapping.selectedOption ? [mapping.selectedOption] : []);
+  
+  return usedOptions.filter(name => !liveOptions.includes(name));
+}
+
+/**
+ * Build a diagnostic check result
+ * @param {string} label - What was checked
+ * @param {string} status - "ok", "warning" or "error"
+ * @param {string} message - Result details
+ * @param {Object} [fix] - Action that resolves the problem
+ * @returns {DiagnosticCheck} Check result
+ */
+function buildDiagnosticCheck(label, status, message, fix) {
+  return {
+    label: label,
+    status: status,
+    message: message,
+    fix: status === "ok" ? null : (fix || null)
+  };
+}
+
+/**
+ * Bring a single mapping back in line with the live schema: follow a rename,
+ * drop options that were deleted, or remove the mapping if its property is gone
+ * @param {Object} event - Event object
+ * @param {Object} event.parameters - Action parameters
+ * @param {string} event.parameters.propertyId - Property ID of the mapping
+ * @returns {CardService.ActionResponse} Action response
+ */
+function repairMappingFromSchema(event) {
+  const propertyId = event?.parameters?.propertyId;
+  console.log("repairMappingFromSchema called for", propertyId);
+  
+  try {
+    const config = getConfig();
+    const mappings = getMappings();
+    const mapping = mappings[propertyId];
+    
+    if (!mapping) {
+      throw new Error("Mapping not found");
+    }
+    
+    const schemaResult = getCachedDatabaseSchema(config.databaseId, config.apiKey, config.dataSourceId);
+    if (!schemaResult.success) {
+      throw new Error(schemaResult.error);
+    }
+    
+    const property = schemaResult.database.properties.find(prop => prop.id === propertyId);
+    let message;
+    
+    if (!property) {
+      delete mappings[propertyId];
+      message = `Removed mapping for "${mapping.notionPropertyName}"`;
+    } else {
+      const missingOptions = getMissingMappingOptions(mapping, property);
+      
+      mapping.notionPropertyName = property.name;
+      
+      if (missingOptions.length > 0) {
+        if (property.type === "multi_select") {
+          mapping.selectedOptions = mapping.selectedOptions.filter(name => !missingOptions.includes(name));
+          // Values taken from an email field still fill the property without fixed options
+          mapping.enabled = mapping.selectedOptions.length > 0 || !!mapping.emailField;
+        } else {
+          mapping.selectedOption = "";
+          mapping.enabled = false;
+        }
+        mapping.options = property.config.options || [];
+      }
+      
+      message = `Updated mapping for "${property.name}"`;
+    }
+    
+    PropertiesService.getUserProperties().setProperty("G2N_MAPPINGS", JSON.stringify(mappings));
+    console.log(message);
+    
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification()
+        .setText("✅ " + message))
+      .setNavigation(CardService.newNavigation()
+        .updateCard(buildDiagnosticsCard(runConnectionDiagnostics())))
+      .build();
+  
+  } catch (error) {
+    console.error("Error repairing mapping:", error);
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification()
+        .setText("❌ Could not update mapping: " + error.message))
+      .build();
+  }
+}
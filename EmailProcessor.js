@@ -31,13 +31,28 @@ function processEmailToNotion(emailId) {
   }
   
   // Apply mappings to create Notion properties
+  resetTextOverflow();
   var notionProperties = applyMappings(emailData, mappings);
+  var pageContent = mappings[PAGE_CONTENT_PROPERTY.id];
+  var contentBlocks = pageContent ? PropertyHandlers.page_content.processForNotion(pageContent, emailData) : [];
+  var pageBlocks = contentBlocks.concat(takeTextOverflowBlocks());
   
   // Create page in Notion
-  var result = createNotionPage(config.databaseId, config.apiKey, notionProperties);
+  var result = createNotionPage(config.databaseId, config.apiKey, notionProperties, config.dataSourceId);
   
   if (result && result.success) {
     console.log("✅ Successfully created Notion page:", result.url);
+    recordSavedMessage(emailData, result);
+    
+    // Page content, then text that did not fit in its property
+    if (pageBlocks.length > 0) {
+      try {
+        appendNotionBlockChildren(result.id, pageBlocks, { apiKey: config.apiKey });
+      } catch (error) {
+        console.error("Error appending page content:", error);
+      }
+    }
+    attachEmlArchive(emailData, result.id, mappings, config.apiKey);
     return {
       success: true,
       pageId: result.id,
@@ -46,7 +61,9 @@ function processEmailToNotion(emailId) {
     };
   }
   
-  throw new Error(result?.error || "Failed to create Notion page");
+  var error = new Error(result?.notionError?.title || result?.error || "Failed to create Notion page");
+  error.notionError = result?.notionError || null;
+  throw error;
 }
 
 /**
@@ -67,6 +84,14 @@ function extractEmailData(emailId) {
     var thread = message.getThread();
     var attachments = message.getAttachments();
     
+    // Read only the headers that email fields, custom header mappings and the page template
+    // use, since the raw message would download every attachment
+    var headerMap = buildHeaderMap(getRequestedHeaderNames().map(function(name) {
+      return { name: name, value: message.getHeader(name) || "" };
+    }).filter(function(header) {
+      return header.value;
+    }));
+    
     var emailData = {
       // Basic info
       messageId: message.getId(),
@@ -88,9 +113,6 @@ function extractEmailData(emailId) {
       snippet: message.getSnippet ? message.getSnippet() : "",
       
       // Status
-      labels: message.getLabels ? message.getLabels().map(function(label) { 
-        return label.getName(); 
-      }) : [],
       starred: message.isStarred ? message.isStarred() : false,
       inInbox: message.isInInbox ? message.isInInbox() : false,
       unread: message.isUnread ? message.isUnread() : false,
@@ -99,14 +121,24 @@ function extractEmailData(emailId) {
       // Attachments
       attachments: attachments || [],
       attachmentCount: attachments ? attachments.length : 0,
+      attachmentNames: (attachments || []).map(function(attachment) {
+        return attachment.getName();
+      }).join(", "),
       
       // Gmail specific URLs
-      gmailLinkUrl: "https://mail.google.com/mail/u/0/#inbox/" + message.getId(),
+      gmailLinkUrl: buildGmailPermalink(message.getId()),
       
       // History (for sync)
       historyId: thread && thread.getLastMessageHistoryId ? thread.getLastMessageHistoryId() : ""
     };
     
+    // Threading and list headers, structured addresses
+    Object.assign(emailData, extractHeaderFields(headerMap), { headers: headerMap, headersPartial: true });
+    Object.assign(emailData, extractAddressFields(emailData.from, emailData.to, emailData.cc));
+    
+    // Labels, named the same way as in the advanced path
+    Object.assign(emailData, buildLabelFields(getGmailAppLabelNames(message, thread)));
+    
     console.log("✅ Email data extracted successfully (GmailApp)");
     console.log("Subject:", emailData.subject);
     console.log("From:", emailData.from);
@@ -151,37 +183,19 @@ function extractEmailDataAdvanced(emailId) {
       return header ? header.value : "";
     };
     
-    var subject = getHeader('Subject');
+    // Gmail usually decodes encoded words, but leaves malformed ones as sent.
+    // Address headers are decoded after parsing, so decoded names cannot split an address list.
+    var subject = decodeEncodedWords(getHeader('Subject'));
     var from = getHeader('From');
     var to = getHeader('To');
     var cc = getHeader('Cc');
     var bcc = getHeader('Bcc');
     var date = getHeader('Date');
     
-    // Get body content with safe base64 decoding
+    // Get body content, decoded with each part's charset
     var body = "";
     var plainBody = "";
     
-  function decodeBase64Safe(data) {
-  if (!data || typeof data !== 'string') {
-    console.warn("Invalid base64 data:", typeof data, data);
-    return "";
-  }
-  try {
-    // Handle URL-safe base64
-    var base64Data = data.replace(/-/g, '+').replace(/_/g, '/');
-    // Add padding if needed
-    while (base64Data.length % 4 !== 0) {
-      base64Data += '=';
-    }
-    var decoded = Utilities.base64Decode(base64Data);
-    return Utilities.newBlob(decoded).getDataAsString('UTF-8');
-  } catch (error) {
-    console.warn("Base64 decoding error:", error.message);
-    return "";
-  }
-}
-    
     function extractBodyFromParts(parts) {
       var html = "";
       var text = "";
@@ -189,10 +203,15 @@ function extractEmailDataAdvanced(emailId) {
       for (var i = 0; i < parts.length; i++) {
         var part = parts[i];
         
+        // Attached .txt/.html files are attachments, not the body
+        if (part.filename) {
+          continue;
+        }
+        
         if (part.mimeType === 'text/html' && part.body && part.body.data) {
-          html = decodeBase64Safe(part.body.data);
+          html = decodeGmailPartBody(part);
         } else if (part.mimeType === 'text/plain' && part.body && part.body.data) {
-          text = decodeBase64Safe(part.body.data);
+          text = decodeGmailPartBody(part);
         }
         
         // Recursively check nested parts
@@ -206,6 +225,14 @@ function extractEmailDataAdvanced(emailId) {
       return {html: html, text: text};
     }
     
+    var attachmentParts = collectAttachmentParts(payload);
+    var attachments = attachmentParts
+      .filter(part => !part.isInline)
+      .map(part => buildAttachmentDescriptor(message.id, part));
+    var inlineAttachments = attachmentParts
+      .filter(part => part.isInline)
+      .map(part => buildAttachmentDescriptor(message.id, part));
+    
     if (payload.parts && payload.parts.length > 0) {
       // Multipart message
       var extracted = extractBodyFromParts(payload.parts);
@@ -213,7 +240,7 @@ function extractEmailDataAdvanced(emailId) {
       plainBody = extracted.text;
     } else if (payload.body && payload.body.data) {
       // Simple message
-      var content = decodeBase64Safe(payload.body.data);
+      var content = decodeGmailPartBody(payload);
       if (payload.mimeType === 'text/html') {
         body = content;
         plainBody = content.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
@@ -226,29 +253,33 @@ function extractEmailDataAdvanced(emailId) {
     // Create snippet from body
     var snippet = plainBody ? plainBody.substring(0, 200) + (plainBody.length > 200 ? '...' : '') : "";
     
-    return {
+    var headerMap = buildHeaderMap(headers);
+    
+    return Object.assign({
       messageId: message.id,
       threadId: message.threadId,
       subject: subject || "(No Subject)",
-      from: from || "",
-      to: to || "",
-      cc: cc || "",
-      bcc: bcc || "",
+      from: decodeEncodedWords(from),
+      to: decodeEncodedWords(to),
+      cc: decodeEncodedWords(cc),
+      bcc: decodeEncodedWords(bcc),
       date: new Date(date) || new Date(),
       internalDate: message.internalDate ? parseInt(message.internalDate) : Date.now(),
       body: body || "",
       plainBody: plainBody || "",
       snippet: snippet,
-      labels: message.labelIds || [],
       starred: message.labelIds && message.labelIds.includes('STARRED'),
       inInbox: message.labelIds && message.labelIds.includes('INBOX'),
       unread: message.labelIds && message.labelIds.includes('UNREAD'),
-      hasAttachments: false,
-      attachments: [],
-      attachmentCount: 0,
-      gmailLinkUrl: "https://mail.google.com/mail/u/0/#inbox/" + message.id,
-      historyId: message.historyId || ""
-    };
+      hasAttachments: attachments.length > 0,
+      attachments: attachments,
+      attachmentCount: attachments.length,
+      attachmentNames: attachments.map(attachment => attachment.name).join(", "),
+      inlineAttachments: inlineAttachments,
+      gmailLinkUrl: buildGmailPermalink(message.id),
+      historyId: message.historyId || "",
+      headers: headerMap
+    }, extractHeaderFields(headerMap), extractAddressFields(from, to, cc), buildLabelFields(resolveGmailLabelNames(message.labelIds)));
     
   } catch (error) {
     console.error("❌ Error extracting email data (advanced):", error.message);
@@ -257,70 +288,154 @@ function extractEmailDataAdvanced(emailId) {
   }
 }
 
+/**
+ * Attachment found in a Gmail API message payload
+ * @typedef {Object} AttachmentPart
+ * @property {string} filename - File name
+ * @property {string} mimeType - MIME type
+ * @property {number} size - Size in bytes
+ * @property {string} attachmentId - Gmail attachment ID (empty if the data is inline in the payload)
+ * @property {string} data - Base64url data for small parts without an attachment ID
+ * @property {string} contentId - Content-ID without angle brackets
+ * @property {boolean} isInline - Whether the part is an inline image rather than an attachment
+ */
+
+/**
+ * Walk a Gmail API payload and collect its attachment parts
+ * @param {Object} payload - Message payload from Gmail.Users.Messages.get
+ * @returns {Array<AttachmentPart>} Attachment parts in message order
+ */
+function collectAttachmentParts(payload) {
+  var parts = [];
+  
+  var visit = function(part) {
+    if (!part) return;
+    
+    if (part.filename && part.body && (part.body.attachmentId || part.body.data)) {
+      var partHeaders = part.headers || [];
+      var getPartHeader = function(name) {
+        var header = partHeaders.find(h => h.name.toLowerCase() === name.toLowerCase());
+        return header ? header.value : "";
+      };
+      
+      var disposition = getPartHeader("Content-Disposition").toLowerCase();
+      var contentId = getPartHeader("Content-ID").replace(/^<|>$/g, "");
+      
+      parts.push({
+        filename: part.filename,
+        mimeType: part.mimeType || "application/octet-stream",
+        size: part.body.size || 0,
+        attachmentId: part.body.attachmentId || "",
+        data: part.body.attachmentId ? "" : part.body.data,
+        contentId: contentId,
+        // Images referenced from the HTML body are inline even without an explicit disposition
+        isInline: disposition.startsWith("inline") || (!!contentId && !disposition.startsWith("attachment"))
+      });
+    }
+    
+    (part.parts || []).forEach(visit);
+  };
+  
+  visit(payload);
+  return parts;
+}
+
+/**
+ * Build an attachment descriptor that loads its bytes only when needed
+ * @param {string} messageId - Gmail message ID
+ * @param {AttachmentPart} part - Attachment part
+ * @returns {Object} Attachment descriptor with name, mimeType, size, attachmentId, contentId, isInline and getBlob()
+ */
+function buildAttachmentDescriptor(messageId, part) {
+  var blob = null;
+  
+  return {
+    name: part.filename,
+    mimeType: part.mimeType,
+    size: part.size,
+    attachmentId: part.attachmentId,
+    contentId: part.contentId,
+    isInline: part.isInline,
+    
+    /**
+     * Fetch the attachment bytes (once) through the Gmail advanced service
+     * @returns {Blob} Attachment blob
+     */
+    getBlob: function() {
+      if (!blob) {
+        var data = part.data;
+        
+        if (!data) {
+          console.log("Fetching attachment bytes:", part.filename);
+          data = Gmail.Users.Messages.Attachments.get('me', messageId, part.attachmentId).data;
+        }
+        
+        // Gmail may omit base64 padding
+        while (data.length % 4 !== 0) {
+          data += "=";
+        }
+        
+        blob = Utilities.newBlob(Utilities.base64DecodeWebSafe(data), part.mimeType, part.filename);
+      }
+      
+      return blob;
+    }
+  };
+}
+
 /**
  * Create a page in Notion database
  * @param {string} databaseId - Notion database ID
  * @param {string} apiKey - Notion API key
  * @param {Object} properties - Notion properties object
+ * @param {string} [dataSourceId] - Data source ID for multi-source databases
  * @returns {Object} Result object with success status
  */
-function createNotionPage(databaseId, apiKey, properties) {
+function createNotionPage(databaseId, apiKey, properties, dataSourceId) {
   console.log("=== CREATING NOTION PAGE ===");
   console.log("Database ID:", databaseId);
   console.log("Properties to set:", Object.keys(properties));
   
   try {
     var payload = {
-      parent: { database_id: databaseId },
+      parent: buildNotionPageParent(databaseId, dataSourceId),
       properties: properties
     };
     
     console.log("Payload:", JSON.stringify(payload, null, 2));
     
-    var options = {
+    var result = notionRequest("/pages", {
       method: "POST",
-      headers: {
-        Authorization: "Bearer " + apiKey,
-        "Content-Type": "application/json",
-        "Notion-Version": "2022-06-28"
-      },
-      payload: JSON.stringify(payload),
-      muteHttpExceptions: true
-    };
-    
-    var response = UrlFetchApp.fetch("https://api.notion.com/v1/pages", options);
-    var statusCode = response.getResponseCode();
-    var responseText = response.getContentText();
+      apiKey: apiKey,
+      payload: payload
+    });
     
-    console.log("Response Code:", statusCode);
+    console.log("✅ Notion page created successfully");
+    console.log("Page ID:", result.id);
+    console.log("Page URL:", result.url);
     
-    if (statusCode === 200) {
-      var result = JSON.parse(responseText);
-      console.log("✅ Notion page created successfully");
-      console.log("Page ID:", result.id);
-      console.log("Page URL:", result.url);
-      
-      return {
-        success: true,
-        id: result.id,
-        url: result.url,
-        created_time: result.created_time,
-        last_edited_time: result.last_edited_time
-      };
-    } else {
-      console.error("❌ Notion API error:", responseText);
-      return {
-        success: false,
-        error: JSON.parse(responseText).message || "Unknown error",
-        code: statusCode
-      };
-    }
+    return {
+      success: true,
+      id: result.id,
+      url: result.url,
+      created_time: result.created_time,
+      last_edited_time: result.last_edited_time
+    };
     
   } catch (error) {
     console.error("❌ Exception creating Notion page:", error);
+    var notionError = classifyNotionError(error);
+    
+    if (notionError.category === "validation_error") {
+      invalidateDatabaseSchemaCache(databaseId, dataSourceId);
+    }
+    
     return {
       success: false,
-      error: error.message
+      error: error.message,
+      code: error.status,
+      errorCode: error.code,
+      notionError: notionError
     };
   }
 }
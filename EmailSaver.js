@@ -35,87 +35,7 @@ function saveEmailToNotion(event) {
     
     console.log("Message ID from event:", messageId);
     
-    var emailData = null;
-    
-    // METHOD 1: Try the advanced Gmail API method (primary for add-ons)
-    try {
-      console.log("Method 1: Trying advanced Gmail API...");
-      emailData = extractEmailDataAdvanced(messageId);
-      if (emailData) {
-        console.log("✅ Advanced method succeeded");
-      }
-    } catch (error) {
-      console.warn("Advanced method error:", error.message);
-    }
-    
-    // METHOD 2: If advanced method fails, try GmailApp with numeric ID
-    if (!emailData) {
-      console.log("Method 2: Trying GmailApp fallback...");
-      
-      // Try to extract just the numeric ID for GmailApp
-      var numericId = messageId;
-      if (messageId.includes(':')) {
-        numericId = messageId.split(':')[1];
-      }
-      
-      console.log("Trying GmailApp with ID:", numericId);
-      
-      try {
-        emailData = extractEmailData(numericId);
-        if (emailData) {
-          console.log("✅ GmailApp method succeeded");
-        }
-      } catch (error) {
-        console.warn("GmailApp method error:", error.message);
-      }
-    }
-    
-    // METHOD 3: Try to get selected messages
-    if (!emailData) {
-      console.log("Method 3: Trying getSelectedMessages...");
-      try {
-        var selectedMessages = GmailApp.getSelectedMessages();
-        if (selectedMessages && selectedMessages.length > 0) {
-          var message = selectedMessages[0];
-          emailData = extractEmailData(message.getId());
-          if (emailData) {
-            console.log("✅ getSelectedMessages succeeded");
-          }
-        }
-      } catch (error) {
-        console.warn("getSelectedMessages error:", error.message);
-      }
-    }
-    
-    // METHOD 4: Create data from event as last resort
-    if (!emailData && event?.gmail?.subject) {
-      console.log("Method 4: Creating data from event...");
-      emailData = {
-        messageId: event.gmail.messageId || "event-" + Date.now(),
-        subject: event.gmail.subject || "No Subject",
-        from: event.gmail.from || "Unknown",
-        to: event.gmail.to || "",
-        date: new Date(),
-        plainBody: event.gmail.body || event.gmail.snippet || "",
-        snippet: event.gmail.snippet || "",
-        body: event.gmail.body || "",
-        threadId: "thread-" + Date.now(),
-        internalDate: Date.now(),
-        cc: "",
-        bcc: "",
-        replyTo: "",
-        labels: [],
-        starred: false,
-        inInbox: true,
-        unread: false,
-        hasAttachments: false,
-        attachments: [],
-        attachmentCount: 0,
-        gmailLinkUrl: "https://mail.google.com",
-        historyId: ""
-      };
-      console.log("✅ Created email data from event");
-    }
+    var emailData = extractEventEmailData(event);
     
     if (!emailData) {
       throw new Error("Failed to extract email data from any method");
@@ -129,11 +49,27 @@ function saveEmailToNotion(event) {
     
     // Get mappings
     var mappings = getMappings();
+    
+    // Saving the same email twice would give two pages, unless the user chose to
+    if (event?.parameters?.force !== "true") {
+      var existingSave = findExistingSave(emailData, mappings);
+      if (existingSave) {
+        console.log("Email already saved:", existingSave.url);
+        return {
+          success: false,
+          duplicate: existingSave,
+          message: "This email is already in Notion",
+          emailId: messageId
+        };
+      }
+    }
+    
     console.log("Mappings count:", mappings ? Object.keys(mappings).length : 0);
     
     // Build Notion page properties using property handlers
     var notionProperties = {};
     var pageChildren = [];
+    resetTextOverflow();
     
     // Process all mappings
     Object.entries(mappings).forEach(([propertyId, mapping]) => {
@@ -172,13 +108,20 @@ function saveEmailToNotion(event) {
       }
     });
     
-    // Add email metadata as page children if no other content was added
-    if (pageChildren.length === 0 && mappings.page_content?.enabled !== false) {
+    // Without a page content mapping, add the email details and body
+    if (!mappings.page_content && pageChildren.length === 0) {
       var infoBlocks = createEmailInfoBlocks(emailData);
       pageChildren.push(...infoBlocks);
       console.log(`Added ${infoBlocks.length} info blocks`);
     }
     
+    // Text that did not fit in its property continues in the page body
+    var overflowBlocks = takeTextOverflowBlocks();
+    if (overflowBlocks.length > 0) {
+      pageChildren.push(...overflowBlocks);
+      console.log(`Added ${overflowBlocks.length} overflow blocks`);
+    }
+    
     // Save to Notion API
     console.log("Saving to Notion...");
     console.log("Properties count:", Object.keys(notionProperties).length);
@@ -204,17 +147,28 @@ function saveEmailToNotion(event) {
       config.apiKey,
       config.databaseId,
       notionProperties,
-      pageChildren && pageChildren.length > 0 ? pageChildren : null
+      pageChildren && pageChildren.length > 0 ? pageChildren : null,
+      config.dataSourceId
     );
     
     console.log("✅ Notion page created successfully!");
     console.log("Page ID:", result.id);
     console.log("Page URL:", result.url);
     
+    if (result.contentError) {
+      console.warn("Page created with incomplete content:", result.contentError);
+    }
+    
+    attachEmlArchive(emailData, result.id, mappings, config.apiKey);
+    recordSavedMessage(emailData, result);
+    
     // Return result object with success status
     return {
       success: true,
-      message: "Email saved to Notion!",
+      message: result.contentError
+        ? "Email saved, but some content could not be added: " + result.contentError
+        : "Email saved to Notion!",
+      partial: !!result.contentError,
       url: result.url,
       pageId: result.id,
       emailId: messageId
@@ -223,13 +177,121 @@ function saveEmailToNotion(event) {
   } catch (error) {
     console.error("Error saving email:", error);
     console.error("Error stack:", error.stack);
+    
+    var notionError = null;
+    if (error instanceof NotionApiError) {
+      notionError = classifyNotionError(error);
+      
+      // The schema probably changed, so the next mappings card must not use a stale copy
+      if (notionError.category === "validation_error") {
+        invalidateDatabaseSchemaCache(config.databaseId, config.dataSourceId);
+      }
+    }
+    
     return {
       success: false,
-      message: "Failed to save: " + error.message
+      message: "Failed to save: " + (notionError ? notionError.title : error.message),
+      notionError: notionError
     };
   }
 }
 
+/**
+ * Extract the data of the email an action was started from, trying the
+ * Gmail advanced service, GmailApp, the selected messages, then the event itself
+ * @param {Object} event - Event object with Gmail data
+ * @returns {Object|null} Extracted email data, or null if every method failed
+ */
+function extractEventEmailData(event) {
+  var emailData = null;
+  var messageId = event?.gmail?.messageId;
+  
+  // METHOD 1: Try the advanced Gmail API method (primary for add-ons)
+  try {
+    console.log("Method 1: Trying advanced Gmail API...");
+    emailData = extractEmailDataAdvanced(messageId);
+    if (emailData) {
+      console.log("✅ Advanced method succeeded");
+    }
+  } catch (error) {
+    console.warn("Advanced method error:", error.message);
+  }
+  
+  // METHOD 2: If advanced method fails, try GmailApp with numeric ID
+  if (!emailData) {
+    console.log("Method 2: Trying GmailApp fallback...");
+    
+    // Try to extract just the numeric ID for GmailApp
+    var numericId = messageId;
+    if (messageId.includes(':')) {
+      numericId = messageId.split(':')[1];
+    }
+    
+    console.log("Trying GmailApp with ID:", numericId);
+    
+    try {
+      emailData = extractEmailData(numericId);
+      if (emailData) {
+        console.log("✅ GmailApp method succeeded");
+      }
+    } catch (error) {
+      console.warn("GmailApp method error:", error.message);
+    }
+  }
+  
+  // METHOD 3: Try to get selected messages
+  if (!emailData) {
+    console.log("Method 3: Trying getSelectedMessages...");
+    try {
+      var selectedMessages = GmailApp.getSelectedMessages();
+      if (selectedMessages && selectedMessages.length > 0) {
+        var message = selectedMessages[0];
+        emailData = extractEmailData(message.getId());
+        if (emailData) {
+          console.log("✅ getSelectedMessages succeeded");
+        }
+      }
+    } catch (error) {
+      console.warn("getSelectedMessages error:", error.message);
+    }
+  }
+  
+  // METHOD 4: Create data from event as last resort
+  if (!emailData && event?.gmail?.subject) {
+    console.log("Method 4: Creating data from event...");
+    emailData = {
+      messageId: event.gmail.messageId || "event-" + Date.now(),
+      subject: event.gmail.subject || "No Subject",
+      from: event.gmail.from || "Unknown",
+      to: event.gmail.to || "",
+      date: new Date(),
+      plainBody: event.gmail.body || event.gmail.snippet || "",
+      snippet: event.gmail.snippet || "",
+      body: event.gmail.body || "",
+      threadId: "thread-" + Date.now(),
+      internalDate: Date.now(),
+      cc: "",
+      bcc: "",
+      replyTo: "",
+      labels: [],
+      labelSegments: [],
+      starred: false,
+      inInbox: true,
+      unread: false,
+      hasAttachments: false,
+      attachments: [],
+      attachmentNames: "",
+      attachmentCount: 0,
+      gmailLinkUrl: event.gmail.messageId ? buildGmailPermalink(event.gmail.messageId) : getGmailAccountUrl(),
+      historyId: ""
+    };
+    Object.assign(emailData, extractAddressFields(emailData.from, emailData.to, emailData.cc));
+    console.log("✅ Created email data from event");
+  }
+  
+  return emailData;
+}
+
 /**
  * Quick save email wrapper function
  * @param {Object} event - Event object
@@ -239,17 +301,35 @@ function quickG2NSaveEmail(event) {
   console.log("quickG2NSaveEmail called - delegating to saveEmailToNotion");
   var result = saveEmailToNotion(event);
   
-  if (result.success) {
+  if (result.duplicate) {
+    return CardService.newActionResponseBuilder()
+      .setNavigation(
+        CardService.newNavigation()
+          .pushCard(buildDuplicateSaveCard(result.duplicate))
+      )
+      .build();
+  } else if (result.success) {
     return CardService.newActionResponseBuilder()
       .setNotification(
         CardService.newNotification()
-          .setText("✅ " + result.message)
+          .setText((result.partial ? "⚠️ " : "✅ ") + result.message)
       )
       .setOpenLink(
         CardService.newOpenLink()
           .setUrl(result.url)
       )
       .build();
+  } else if (result.notionError) {
+    return CardService.newActionResponseBuilder()
+      .setNotification(
+        CardService.newNotification()
+          .setText("❌ " + result.message)
+      )
+      .setNavigation(
+        CardService.newNavigation()
+          .pushCard(buildNotionErrorCard(result.notionError, "quickG2NSaveEmail"))
+      )
+      .build();
   } else {
     return CardService.newActionResponseBuilder()
       .setNotification(
@@ -261,168 +341,486 @@ function quickG2NSaveEmail(event) {
 }
 
 /**
- * Save to Notion API with page children support
+ * Update an existing page from the current email. By default only the mapped
+ * properties are updated, following each mapping's update policy.
+ * @param {Object} event - Event object with Gmail data
+ * @param {Object} event.parameters - Action parameters
+ * @param {string} event.parameters.pageId - ID of the existing page
+ * @param {string} event.parameters.url - URL of the existing page
+ * @param {Object} [options] - What to update (see updatePageFromEmail)
+ * @returns {Object} Result object with success status and message
+ */
+function updateExistingEmailPage(event, options) {
+  var config = getConfig();
+  var pageId = event?.parameters?.pageId;
+  var emailData = null;
+  
+  try {
+    if (!config.apiKey) throw new Error("API key not configured");
+    if (!pageId) throw new Error("No page to update");
+    
+    emailData = extractEventEmailData(event);
+    if (!emailData) {
+      throw new Error("Failed to extract email data from any method");
+    }
+    
+    var page = updatePageFromEmail(pageId, emailData, options || { properties: true });
+    
+    recordSavedMessage(emailData, page, "update");
+    console.log("✅ Updated existing page:", page.url);
+    
+    return {
+      success: true,
+      message: "Notion page updated!",
+      url: page.url || event.parameters.url,
+      pageId: pageId
+    };
+  
+  } catch (error) {
+    console.error("Error updating existing page:", error);
+    
+    var notionError = null;
+    if (error instanceof NotionApiError) {
+      notionError = classifyNotionError(error);
+      
+      if (notionError.category === "object_not_found" && emailData) {
+        forgetSavedMessage(emailData);
+      }
+    }
+    
+    return {
+      success: false,
+      message: "Failed to update: " + (notionError ? notionError.title : error.message),
+      notionError: notionError
+    };
+  }
+}
+
+/**
+ * Update existing page button handler
+ * @param {Object} event - Event object
+ * @returns {CardService.ActionResponse} Action response
+ */
+function quickG2NUpdateEmail(event) {
+  var result = updateExistingEmailPage(event);
+  var response = CardService.newActionResponseBuilder()
+    .setNotification(
+      CardService.newNotification()
+        .setText((result.success ? "✅ " : "❌ ") + result.message)
+    );
+  
+  if (result.success) {
+    response.setOpenLink(
+      CardService.newOpenLink()
+        .setUrl(result.url)
+    );
+  } else if (result.notionError) {
+    response.setNavigation(
+      CardService.newNavigation()
+        .pushCard(buildNotionErrorCard(result.notionError))
+    );
+  }
+  
+  return response.build();
+}
+
+/**
+ * Leave the already-saved prompt without saving
+ * @returns {CardService.ActionResponse} Action response
+ */
+function cancelDuplicateSave() {
+  return CardService.newActionResponseBuilder()
+    .setNotification(
+      CardService.newNotification()
+        .setText("Email not saved")
+    )
+    .setNavigation(
+      CardService.newNavigation()
+        .popCard()
+    )
+    .build();
+}
+
+/**
+ * Save to Notion API with page children support. The page is created with as
+ * many blocks as one request allows; the rest are appended in batches.
  * @param {string} apiKey - Notion API key
  * @param {string} databaseId - Notion database ID
  * @param {Object} properties - Notion properties object
  * @param {Array} children - Page children blocks (optional)
- * @returns {Object} Result object with page info
- * @throws {Error} If API request fails
+ * @param {string} [dataSourceId] - Data source ID for multi-source databases
+ * @returns {Object} Result object with page info; contentError is set if the page was created but not all blocks could be appended
+ * @throws {NotionApiError} If the page could not be created
  */
-function saveToNotionAPIWithChildren(apiKey, databaseId, properties, children) {
+function saveToNotionAPIWithChildren(apiKey, databaseId, properties, children, dataSourceId) {
   console.log("Calling Notion API...");
   
   var payload = {
-    parent: { database_id: databaseId },
+    parent: buildNotionPageParent(databaseId, dataSourceId),
     properties: properties
   };
+  var remainingChildren = [];
   
   // Add children if provided
   if (children && children.length > 0) {
-    payload.children = children;
+    // Page creation returns no block IDs, so only blocks without deferred
+    // children can go in the create request
+    var firstBatch = takeNotionBlockBatch(children);
+    var inlineCount = firstBatch.deferred.findIndex(deferred => deferred.length > 0);
+    if (inlineCount === -1) {
+      inlineCount = firstBatch.blocks.length;
+    }
+    
+    if (inlineCount > 0) {
+      payload.children = firstBatch.blocks.slice(0, inlineCount);
+    }
+    remainingChildren = children.slice(inlineCount);
   }
   
-  var options = {
+  var result = notionRequest("/pages", {
     method: "POST",
-    headers: {
-      Authorization: "Bearer " + apiKey,
-      "Notion-Version": "2022-06-28",
-      "Content-Type": "application/json"
-    },
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true
-  };
+    apiKey: apiKey,
+    payload: payload
+  });
   
-  var response = UrlFetchApp.fetch("https://api.notion.com/v1/pages", options);
-  var statusCode = response.getResponseCode();
-  var responseText = response.getContentText();
+  console.log("✅ Successfully created Notion page:", result.id);
   
-  console.log("Notion API response: " + statusCode);
+  var contentError = null;
+  if (remainingChildren.length > 0) {
+    console.log(`Appending ${remainingChildren.length} more blocks...`);
+    
+    try {
+      appendNotionBlockChildren(result.id, remainingChildren, { apiKey: apiKey });
+    } catch (error) {
+      // The page exists, so report the partial save instead of failing outright
+      console.error("Error appending page content:", error);
+      contentError = error.message;
+    }
+  }
   
-  if (statusCode === 200) {
-    var result = JSON.parse(responseText);
-    console.log("✅ Successfully created Notion page:", result.id);
-    return {
-      id: result.id,
-      url: result.url,
-      created_time: result.created_time
-    };
-  } else {
-    console.error("Notion API error:", responseText);
-    var errorMessage = "Failed to save to Notion";
+  return {
+    id: result.id,
+    url: result.url,
+    created_time: result.created_time,
+    contentError: contentError
+  };
+}
+
+/**
+ * Build the blocks for the email body
+ * @param {Object} emailData - Extracted email data
+ * @param {string} bodyMode - "plain_text" or "html_blocks"
+ * @returns {Array} Array of Notion block objects
+ */
+function buildEmailBodyBlocks(emailData, bodyMode) {
+  var html = emailData.body || "";
+  
+  if (bodyMode === "html_blocks" && /<[a-z][^>]*>/i.test(html)) {
     try {
-      var errorObj = JSON.parse(responseText);
-      errorMessage = errorObj.message || errorMessage;
-    } catch (e) {
-      // Keep default error message
+      var htmlBlocks = convertHtmlToNotionBlocks(html);
+      if (htmlBlocks.length > 0) {
+        return htmlBlocks;
+      }
+    } catch (error) {
+      console.error("Could not convert HTML body, using plain text:", error);
     }
-    throw new Error(errorMessage + ` (Status: ${statusCode})`);
   }
+  
+  // One block per paragraph; the whole body is kept, as blocks beyond the
+  // first request are appended in batches
+  var blocks = [];
+  var paragraphs = (emailData.plainBody || html.replace(/<[^>]*>/g, " ")).split("\n\n")
+    .filter(p => p.trim().length > 0);
+  
+  paragraphs.forEach(paragraph => {
+    blocks.push(...buildNotionParagraphBlocks(paragraph));
+  });
+  
+  return blocks;
 }
 
 /**
- * Create basic email information blocks for the page content
+ * Addresses listed per header in the email summary; the rest are counted.
+ * Keeps the summary within Notion's 100 rich text elements per block.
+ * @type {number}
+ */
+const EMAIL_SUMMARY_MAX_ADDRESSES = 10;
+
+/**
+ * Create basic email information blocks for the page content, used when no
+ * page content mapping has been configured. A saved page template replaces
+ * the built-in layout.
  * @param {Object} emailData - Extracted email data
  * @returns {Array} Array of Notion block objects
  */
 function createEmailInfoBlocks(emailData) {
+  var template = getPageTemplate();
+  if (template) {
+    return renderPageTemplate(template, emailData);
+  }
+  
+  var blocks = buildEmailSummaryBlocks(emailData, "callout");
+  
+  if (emailData.plainBody || emailData.body) {
+    blocks.push({ object: "block", type: "divider", divider: {} });
+    blocks.push(...buildPageContentSectionBlocks("body", emailData, { bodyMode: getBodyContentMode() }));
+  }
+  
+  return blocks;
+}
+
+/**
+ * Build the page content for the configured sections, in order
+ * @param {Object} mapping - Page content mapping (see PropertyHandlers.page_content)
+ * @param {Object} emailData - Extracted email data
+ * @returns {Array} Array of Notion block objects
+ */
+function buildPageContentBlocks(mapping, emailData) {
   var blocks = [];
   
-  // Add header
-  blocks.push({
-    object: "block",
-    type: "heading_2",
-    heading_2: {
-      rich_text: [
-        {
-          type: "text",
-          text: { content: "📧 Email Details" }
-        }
-      ]
+  (mapping.sections || []).forEach(section => {
+    try {
+      blocks.push(...buildPageContentSectionBlocks(section, emailData, {
+        bodyMode: mapping.bodyMode || getBodyContentMode(),
+        summaryLayout: mapping.summaryLayout
+      }));
+    } catch (error) {
+      console.error(`Error building page content section ${section}:`, error);
     }
   });
   
-  // Add from information
-  if (emailData.from) {
-    blocks.push({
-      object: "block",
-      type: "paragraph",
-      paragraph: {
-        rich_text: [
-          { type: "text", text: { content: "**From:** " } },
-          { type: "text", text: { content: emailData.from } }
-        ]
-      }
-    });
+  return blocks;
+}
+
+/**
+ * Build the blocks of one page content section
+ * @param {string} section - "header_summary", "body", "attachments", "raw_headers" or "template"
+ * @param {Object} emailData - Extracted email data
+ * @param {Object} options - Section options
+ * @param {string} options.bodyMode - "plain_text" or "html_blocks"
+ * @param {string} [options.summaryLayout] - "callout" or "table"
+ * @returns {Array} Array of Notion block objects (empty if the email has nothing for the section)
+ */
+function buildPageContentSectionBlocks(section, emailData, options) {
+  switch (section) {
+    case "header_summary":
+      return buildEmailSummaryBlocks(emailData, options.summaryLayout);
+      
+    case "body":
+      var bodyBlocks = buildEmailBodyBlocks(emailData, options.bodyMode);
+      return bodyBlocks.length > 0
+        ? [buildContentHeading("📄 Email Body")].concat(bodyBlocks)
+        : [];
+      
+    case "attachments":
+      return buildAttachmentListBlocks(emailData);
+      
+    case "raw_headers":
+      return buildRawHeaderBlocks(emailData);
+    
+    case "template":
+      var template = getPageTemplate();
+      return template ? renderPageTemplate(template, emailData, options) : [];
+    
+    default:
+      console.warn("Unknown page content section:", section);
+      return [];
   }
+}
+
+/**
+ * Build the email header summary: subject, sender, recipients, date and
+ * attachments, with mailto: links and a date mention
+ * @param {Object} emailData - Extracted email data
+ * @param {string} [layout] - "callout" (default) or "table"
+ * @returns {Array} Array of Notion block objects
+ */
+function buildEmailSummaryBlocks(emailData, layout) {
+  var date = emailData.date ? new Date(emailData.date) : null;
+  var rows = [
+    ["Subject", emailData.subject ? buildNotionRichText(emailData.subject, { maxElements: 1, overflow: "truncate" }).richText : []],
+    ["From", buildAddressRichText(emailData.from)],
+    ["To", buildAddressRichText(emailData.to)],
+    ["Cc", buildAddressRichText(emailData.cc)],
+    ["Date", date && !isNaN(date.getTime()) ? [buildDateMention(date)] : []],
+    ["Attachments", emailData.attachmentNames ? buildNotionRichText(emailData.attachmentNames, { maxElements: 1, overflow: "truncate" }).richText : []]
+  ].filter(([, richText]) => richText.length > 0);
   
-  // Add date
-  if (emailData.date) {
-    blocks.push({
+  if (layout === "table") {
+    return [{
       object: "block",
-      type: "paragraph",
-      paragraph: {
-        rich_text: [
-          { type: "text", text: { content: "**Date:** " } },
-          { type: "text", text: { content: new Date(emailData.date).toLocaleString() } }
-        ]
+      type: "table",
+      table: {
+        table_width: 2,
+        has_column_header: false,
+        has_row_header: true,
+        children: rows.map(([label, richText]) => ({
+          object: "block",
+          type: "table_row",
+          table_row: { cells: [[buildTextElement(label)], richText] }
+        }))
       }
-    });
+    }];
   }
   
-  // Add to recipients
-  if (emailData.to) {
-    blocks.push({
-      object: "block",
-      type: "paragraph",
-      paragraph: {
-        rich_text: [
-          { type: "text", text: { content: "**To:** " } },
-          { type: "text", text: { content: emailData.to } }
-        ]
-      }
-    });
+  var richText = [];
+  rows.forEach(([label, value], index) => {
+    richText.push(buildTextElement((index > 0 ? "\n" : "") + label + ": ", { bold: true }));
+    richText.push(...value);
+  });
+  
+  return [{
+    object: "block",
+    type: "callout",
+    callout: {
+      rich_text: richText,
+      icon: { type: "emoji", emoji: "📧" },
+      color: "gray_background"
+    }
+  }];
+}
+
+/**
+ * Build rich text for an address header, linking each address with mailto:
+ * @param {string} headerValue - From, To or Cc header
+ * @returns {Array<Object>} Rich text elements (empty if there are no addresses)
+ */
+function buildAddressRichText(headerValue) {
+  var mailboxes = parseAddressList(headerValue);
+  var shown = mailboxes.slice(0, EMAIL_SUMMARY_MAX_ADDRESSES);
+  var richText = [];
+  
+  shown.forEach((mailbox, index) => {
+    var element = buildTextElement(mailbox.address);
+    element.text.link = { url: "mailto:" + mailbox.address };
+    
+    if (index > 0) richText.push(buildTextElement(", "));
+    if (mailbox.name && mailbox.name !== mailbox.address) {
+      richText.push(buildTextElement(mailbox.name + " <"), element, buildTextElement(">"));
+    } else {
+      richText.push(element);
+    }
+  });
+  
+  if (mailboxes.length > shown.length) {
+    richText.push(buildTextElement(` and ${mailboxes.length - shown.length} more`, { italic: true }));
   }
   
-  // Add body content
-  if (emailData.plainBody) {
-    blocks.push({ object: "block", type: "divider", divider: {} });
+  return richText;
+}
+
+/**
+ * Build a date mention, which Notion shows in each reader's own time zone
+ * @param {Date} date - Date and time
+ * @returns {Object} Rich text mention element
+ */
+function buildDateMention(date) {
+  return {
+    type: "mention",
+    mention: {
+      type: "date",
+      date: { start: date.toISOString() }
+    }
+  };
+}
+
+/**
+ * Build a bulleted list of the email's attachments
+ * @param {Object} emailData - Extracted email data
+ * @returns {Array} Array of Notion block objects (empty without attachments)
+ */
+function buildAttachmentListBlocks(emailData) {
+  var attachments = (emailData.attachments || []).map(normalizeAttachment);
+  if (attachments.length === 0) {
+    return [];
+  }
+  
+  var blocks = [buildContentHeading("📎 Attachments")];
+  
+  attachments.forEach(attachment => {
+    var details = [attachment.mimeType, formatAttachmentSize(attachment.size)].filter(Boolean).join(", ");
     
     blocks.push({
       object: "block",
-      type: "heading_3",
-      heading_3: {
-        rich_text: [
-          {
-            type: "text",
-            text: { content: "📄 Email Body" }
-          }
-        ]
+      type: "bulleted_list_item",
+      bulleted_list_item: {
+        rich_text: [buildTextElement(attachment.name || "Unnamed attachment")]
+          .concat(details ? [buildTextElement(" (" + details + ")", { color: "gray" })] : [])
       }
     });
-    
-    // Split by paragraphs and limit to 10
-    var paragraphs = emailData.plainBody.split("\n\n")
-      .filter(p => p.trim().length > 0)
-      .slice(0, 10);
-    
-    paragraphs.forEach(paragraph => {
-      if (paragraph.trim().length > 0) {
-        blocks.push({
-          object: "block",
-          type: "paragraph",
-          paragraph: {
-            rich_text: [
-              {
-                type: "text",
-                text: { content: paragraph.substring(0, 2000) }
-              }
-            ]
-          }
-        });
-      }
+  });
+  
+  return blocks;
+}
+
+/**
+ * Build a collapsed toggle holding the raw message headers.
+ * GmailApp extraction reads headers one by one, so the list is marked as partial there.
+ * @param {Object} emailData - Extracted email data
+ * @returns {Array} Array of Notion block objects (empty if headers are unavailable)
+ */
+function buildRawHeaderBlocks(emailData) {
+  var headers = emailData.headers || {};
+  var text = Object.keys(headers)
+    .map(name => name + ": " + headers[name])
+    .join("\n");
+  
+  if (!text) {
+    return [];
+  }
+  
+  var codeBlocks = [];
+  var remaining = text;
+  
+  while (remaining) {
+    var built = buildNotionRichText(remaining, { overflow: "page_blocks" });
+    codeBlocks.push({
+      object: "block",
+      type: "code",
+      code: { rich_text: built.richText, language: "plain text" }
     });
+    remaining = built.overflowText;
   }
   
-  return blocks;
-}
\ No newline at end of file
+  return [{
+    object: "block",
+    type: "toggle",
+    toggle: {
+      rich_text: [buildTextElement("🧾 Raw Headers", { bold: true })],
+      children: (emailData.headersPartial ? [{
+        object: "block",
+        type: "paragraph",
+        paragraph: {
+          rich_text: [buildTextElement("Only the headers used by mappings and the page template were read for this email.", { color: "gray" })]
+        }
+      }] : []).concat(codeBlocks)
+    }
+  }];
+}
+
+/**
+ * Build a section heading for the page content
+ * @param {string} text - Heading text
+ * @returns {Object} heading_3 block
+ */
+function buildContentHeading(text) {
+  return {
+    object: "block",
+    type: "heading_3",
+    heading_3: {
+      rich_text: [buildTextElement(text)]
+    }
+  };
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as "12 KB", or empty string if unknown
+ */
+function formatAttachmentSize(bytes) {
+  if (!bytes) return "";
+  if (bytes < 1024) return bytes + " B";
+  if (bytes < 1024 * 1024) return Math.round(bytes / 1024) + " KB";
+  return (bytes / (1024 * 1024)).toFixed(1) + " MB";
+}
@@ -96,6 +96,20 @@ function processSelectedEmail() {
     
   } catch (error) {
     console.error("Error processing selected email:", error);
+    
+    if (error.notionError) {
+      return CardService.newActionResponseBuilder()
+        .setNotification(
+          CardService.newNotification()
+            .setText("❌ " + error.notionError.title)
+        )
+        .setNavigation(
+          CardService.newNavigation()
+            .pushCard(buildNotionErrorCard(error.notionError, "processSelectedEmail"))
+        )
+        .build();
+    }
+    
     return CardService.newActionResponseBuilder()
       .setNotification(
         CardService.newNotification()
@@ -157,6 +171,20 @@ function processCurrentEmail() {
     
   } catch (error) {
     console.error("Error processing current email:", error);
+    
+    if (error.notionError) {
+      return CardService.newActionResponseBuilder()
+        .setNotification(
+          CardService.newNotification()
+            .setText("❌ " + error.notionError.title)
+        )
+        .setNavigation(
+          CardService.newNavigation()
+            .pushCard(buildNotionErrorCard(error.notionError, "processCurrentEmail"))
+        )
+        .build();
+    }
+    
     return CardService.newActionResponseBuilder()
       .setNotification(
         CardService.newNotification()
@@ -3,9 +3,18 @@
 // DESCRIPTION: File attachment handling for Notion integration
 // ============================================
 
+/**
+ * Whether the original message is kept as an .eml file
+ * @type {Array<{label: string, value: string}>}
+ */
+const EML_ARCHIVE_OPTIONS = [
+  { label: "Don't keep the original", value: "off" },
+  { label: "Save the original .eml to Google Drive", value: "drive" }
+];
+
 /**
  * Process email attachments based on configuration
- * @param {Array} attachments - Array of GmailAttachment objects
+ * @param {Array} attachments - GmailAttachment objects or attachment descriptors from the advanced service
  * @param {string} emailSubject - Email subject for naming
  * @returns {Array} Array of processed attachment objects
  */
@@ -21,7 +30,7 @@ function processEmailAttachments(attachments, emailSubject) {
   
   var processedAttachments = [];
   
-  attachments.forEach((attachment, index) => {
+  attachments.map(normalizeAttachment).forEach((attachment, index) => {
     try {
       var result;
       
@@ -53,9 +62,27 @@ function processEmailAttachments(attachments, emailSubject) {
   return processedAttachments;
 }
 
+/**
+ * Give GmailApp attachments and advanced-service descriptors the same shape
+ * @param {GmailAttachment|Object} attachment - Attachment from either extraction path
+ * @returns {{name: string, mimeType: string, size: number, getBlob: function(): Blob}} Attachment descriptor
+ */
+function normalizeAttachment(attachment) {
+  if (typeof attachment.getName !== "function") {
+    return attachment;
+  }
+  
+  return {
+    name: attachment.getName(),
+    mimeType: attachment.getContentType(),
+    size: attachment.getSize(),
+    getBlob: () => attachment.copyBlob()
+  };
+}
+
 /**
  * Upload attachment to Google Drive
- * @param {GmailAttachment} attachment - Gmail attachment
+ * @param {Object} attachment - Attachment descriptor (see normalizeAttachment)
  * @param {string} emailSubject - Email subject for naming
  * @param {string} folderId - Optional Drive folder ID
  * @returns {Object} Drive file info object
@@ -113,12 +140,168 @@ function getOrCreateDefaultFolder() {
   return newFolder;
 }
 
+/**
+ * Save the original RFC 822 source of an email as an .eml file in Drive
+ * @param {Object} emailData - Extracted email data
+ * @returns {Object|null} Drive file info ({id, name, url}), or null if the raw message is unavailable
+ * @throws {Error} If the Drive upload fails
+ */
+function archiveOriginalMessage(emailData) {
+  var blob = getRawMessageBlob(emailData.messageId);
+  if (!blob) {
+    console.warn("Raw message not available, .eml not archived:", emailData.messageId);
+    return null;
+  }
+  
+  var folderId = PropertiesService.getUserProperties().getProperty("G2N_DRIVE_FOLDER");
+  var folder = folderId ? DriveApp.getFolderById(folderId) : getOrCreateDefaultFolder();
+  var date = emailData.date ? new Date(emailData.date) : new Date();
+  var datePrefix = isNaN(date.getTime()) ? "" : Utilities.formatDate(date, Session.getScriptTimeZone(), "yyyy-MM-dd") + " ";
+  var safeSubject = (emailData.subject || "email").replace(/[^\w\s-]/g, '_').substring(0, 80);
+  
+  blob.setName(datePrefix + safeSubject + ".eml");
+  var file = folder.createFile(blob);
+  file.setDescription("Original message from Gmail: " + (emailData.rfcMessageId || emailData.messageId));
+  
+  console.log("Archived original message:", file.getName());
+  
+  return {
+    id: file.getId(),
+    name: file.getName(),
+    url: file.getUrl()
+  };
+}
+
+/**
+ * Fetch the raw RFC 822 source of a message
+ * @param {string} messageId - Gmail message ID
+ * @returns {Blob|null} message/rfc822 blob, or null if neither Gmail service returns it
+ */
+function getRawMessageBlob(messageId) {
+  if (!messageId || String(messageId).startsWith("event-")) {
+    return null;
+  }
+  
+  // The advanced service keeps the exact bytes, including 8-bit bodies
+  if (typeof Gmail !== "undefined") {
+    try {
+      var raw = Gmail.Users.Messages.get('me', messageId, {format: 'raw'}).raw;
+      if (raw) {
+        while (raw.length % 4 !== 0) {
+          raw += "=";
+        }
+        return Utilities.newBlob(Utilities.base64DecodeWebSafe(raw), "message/rfc822");
+      }
+    } catch (error) {
+      console.warn("Could not fetch raw message (advanced):", error.message);
+    }
+  }
+  
+  try {
+    var numericId = String(messageId).includes(':') ? String(messageId).split(':')[1] : messageId;
+    var message = GmailApp.getMessageById(numericId);
+    if (message) {
+      return Utilities.newBlob(message.getRawContent(), "message/rfc822");
+    }
+  } catch (error) {
+    console.warn("Could not fetch raw message (GmailApp):", error.message);
+  }
+  
+  return null;
+}
+
+/**
+ * Archive the original message if that is configured, adding emlUrl to the email data
+ * @param {Object} emailData - Extracted email data (updated in place)
+ * @returns {string} URL of the archived .eml, or an empty string
+ */
+function applyEmlArchive(emailData) {
+  emailData.emlUrl = "";
+  
+  if (getConfig().emlArchive !== "drive") {
+    return "";
+  }
+  
+  try {
+    var archived = archiveOriginalMessage(emailData);
+    if (archived) {
+      emailData.emlUrl = archived.url;
+      emailData.emlFileName = archived.name;
+    }
+  } catch (error) {
+    // Saving the email matters more than keeping a copy of it
+    console.error("Error archiving original message:", error);
+  }
+  
+  return emailData.emlUrl;
+}
+
+/**
+ * Archive the original message of a page that was just created and link it
+ * from the page: mapped emlUrl properties are set and a file block is added.
+ * Archiving only once the page exists means a failed save leaves no file behind.
+ * @param {Object} emailData - Extracted email data (updated in place)
+ * @param {string} pageId - ID of the created page
+ * @param {Object} mappings - Field mappings
+ * @param {string} apiKey - Notion API key
+ */
+function attachEmlArchive(emailData, pageId, mappings, apiKey) {
+  if (!applyEmlArchive(emailData)) {
+    return;
+  }
+  
+  try {
+    var emlMappings = {};
+    Object.entries(mappings).forEach(([propertyId, mapping]) => {
+      if (mapping.emailField === "emlUrl") {
+        emlMappings[propertyId] = mapping;
+      }
+    });
+    
+    var properties = applyMappings(emailData, emlMappings);
+    if (Object.keys(properties).length > 0) {
+      notionRequest(`/pages/${pageId}`, {
+        method: "PATCH",
+        apiKey: apiKey,
+        payload: { properties: properties }
+      });
+    }
+    
+    appendNotionBlockChildren(pageId, buildEmlFileBlocks(emailData), { apiKey: apiKey });
+    console.log("Linked the original message from the page");
+  } catch (error) {
+    // The page and the archived file both exist; only the link is missing
+    console.error("Error linking the original message:", error);
+  }
+}
+
+/**
+ * Build the page block linking to the archived .eml
+ * @param {Object} emailData - Extracted email data
+ * @returns {Array} File block, or an empty array if the message was not archived
+ */
+function buildEmlFileBlocks(emailData) {
+  if (!emailData.emlUrl) {
+    return [];
+  }
+  
+  return [{
+    object: "block",
+    type: "file",
+    file: {
+      type: "external",
+      external: { url: emailData.emlUrl },
+      caption: [{ type: "text", text: { content: "Original message: " + (emailData.emlFileName || "email.eml") } }]
+    }
+  }];
+}
+
 /**
  * Upload to Notion (for small files)
  * Note: Notion API doesn't support direct file upload in the same way.
  * This would need to use the Notion import API or base64 encoding.
  * For now, we'll upload to Drive and return the link.
- * @param {GmailAttachment} attachment - Gmail attachment
+ * @param {Object} attachment - Attachment descriptor (see normalizeAttachment)
  * @param {string} emailSubject - Email subject for naming
  * @returns {string} URL to the uploaded file
  */
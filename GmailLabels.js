@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Gmail label catalog
+ * @version 2.0.0
+ * @description Resolves Gmail label IDs to the names users see, with friendly names for system labels and categories
+ */
+
+/**
+ * Display names of Gmail system labels and inbox categories, keyed by label ID
+ * @type {Object<string, string>}
+ */
+const GMAIL_SYSTEM_LABEL_NAMES = {
+  INBOX: "Inbox",
+  SENT: "Sent",
+  DRAFT: "Drafts",
+  SPAM: "Spam",
+  TRASH: "Trash",
+  STARRED: "Starred",
+  IMPORTANT: "Important",
+  UNREAD: "Unread",
+  CHAT: "Chats",
+  CATEGORY_PERSONAL: "Primary",
+  CATEGORY_SOCIAL: "Social",
+  CATEGORY_PROMOTIONS: "Promotions",
+  CATEGORY_UPDATES: "Updates",
+  CATEGORY_FORUMS: "Forums"
+};
+
+/**
+ * How long the label catalog is cached, in seconds
+ * @type {number}
+ */
+const GMAIL_LABEL_CACHE_SECONDS = 3600;
+
+/**
+ * Per-execution copy of the catalog
+ * @type {{catalog: (Object<string, string>|null)}}
+ */
+const GMAIL_LABEL_MEMO = { catalog: null };
+
+/**
+ * Get the user's labels as a map from label ID to name, served from cache when possible
+ * @param {Object} [options] - Cache options
+ * @param {boolean} [options.forceRefresh] - Ignore cached data
+ * @returns {Object<string, string>} Label names keyed by label ID (empty if the Gmail service is unavailable)
+ */
+function getGmailLabelCatalog(options = {}) {
+  const cacheKey = "G2N_GMAIL_LABELS";
+  const cache = CacheService.getUserCache();
+  
+  if (!options.forceRefresh && GMAIL_LABEL_MEMO.catalog) {
+    return GMAIL_LABEL_MEMO.catalog;
+  }
+  
+  if (!options.forceRefresh) {
+    const cached = cache.get(cacheKey);
+    if (cached) {
+      GMAIL_LABEL_MEMO.catalog = JSON.parse(cached);
+      return GMAIL_LABEL_MEMO.catalog;
+    }
+  }
+  
+  if (typeof Gmail === "undefined") {
+    return {};
+  }
+  
+  const catalog = {};
+  
+  try {
+    (Gmail.Users.Labels.list("me").labels || []).forEach(label => {
+      catalog[label.id] = label.name;
+    });
+  } catch (error) {
+    console.error("Could not list Gmail labels:", error.message);
+    return {};
+  }
+  
+  console.log(`Loaded ${Object.keys(catalog).length} Gmail labels`);
+  GMAIL_LABEL_MEMO.catalog = catalog;
+  cache.put(cacheKey, JSON.stringify(catalog), GMAIL_LABEL_CACHE_SECONDS);
+  
+  return catalog;
+}
+
+/**
+ * Turn label IDs from the Gmail API into display names
+ * @param {Array<string>} labelIds - Label IDs, e.g. ["INBOX", "Label_4821", "CATEGORY_PROMOTIONS"]
+ * @returns {Array<string>} User label names first, then system label names
+ */
+function resolveGmailLabelNames(labelIds) {
+  const ids = labelIds || [];
+  let catalog = getGmailLabelCatalog();
+  
+  // A label created since the catalog was cached
+  if (ids.some(id => !GMAIL_SYSTEM_LABEL_NAMES[id] && !catalog[id])) {
+    catalog = getGmailLabelCatalog({ forceRefresh: true });
+  }
+  
+  const userLabels = ids
+    .filter(id => !GMAIL_SYSTEM_LABEL_NAMES[id])
+    .map(id => catalog[id] || id);
+  const systemLabels = ids
+    .filter(id => GMAIL_SYSTEM_LABEL_NAMES[id])
+    .map(id => GMAIL_SYSTEM_LABEL_NAMES[id]);
+  
+  return userLabels.concat(systemLabels);
+}
+
+/**
+ * Collect label names for a message read through GmailApp, which exposes
+ * user labels on the thread and system labels only as flags
+ * @param {GmailMessage} message - Gmail message
+ * @param {GmailThread} thread - Thread of the message
+ * @returns {Array<string>} User label names first, then system label names
+ */
+function getGmailAppLabelNames(message, thread) {
+  const userLabels = thread ? thread.getLabels().map(label => label.getName()) : [];
+  const flags = {
+    INBOX: message.isInInbox(),
+    STARRED: message.isStarred(),
+    UNREAD: message.isUnread(),
+    IMPORTANT: thread ? thread.isImportant() : false,
+    DRAFT: message.isDraft(),
+    SPAM: thread ? thread.isInSpam() : false,
+    TRASH: message.isInTrash(),
+    CHAT: message.isInChats()
+  };
+  
+  return userLabels.concat(
+    Object.keys(flags)
+      .filter(id => flags[id])
+      .map(id => GMAIL_SYSTEM_LABEL_NAMES[id])
+  );
+}
+
+/**
+ * Build the label fields of an email
+ * @param {Array<string>} labelNames - Label display names, nested labels joined with "/"
+ * @returns {{labels: Array<string>, labelSegments: Array<string>}} Full label names, and the unique parts of nested labels
+ */
+function buildLabelFields(labelNames) {
+  const labelSegments = [];
+  
+  labelNames.forEach(name => {
+    name.split("/").map(segment => segment.trim()).forEach(segment => {
+      if (segment && !labelSegments.includes(segment)) {
+        labelSegments.push(segment);
+      }
+    });
+  });
+  
+  return {
+    labels: labelNames,
+    labelSegments: labelSegments
+  };
+}
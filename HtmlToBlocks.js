@@ -0,0 +1,582 @@
+/**
+ * @fileoverview HTML to Notion blocks conversion
+ * @version 2.0.0
+ * @description Turns email HTML into headings, paragraphs, lists, quotes, code, tables and images with annotated rich text
+ */
+
+/**
+ * How the email body is written to the page content
+ * @type {Array<{label: string, value: string}>}
+ */
+const BODY_CONTENT_MODES = [
+  { label: "Plain text paragraphs", value: "plain_text" },
+  { label: "Formatted (headings, lists, tables, links)", value: "html_blocks" }
+];
+
+/**
+ * Elements that never have content or a closing tag
+ * @type {Array<string>}
+ */
+const HTML_VOID_ELEMENTS = ["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"];
+
+/**
+ * Elements whose content is dropped
+ * @type {Array<string>}
+ */
+const HTML_SKIPPED_ELEMENTS = ["script", "style", "head", "title", "template", "noscript", "svg", "object"];
+
+/**
+ * Elements that start a new block
+ * @type {Array<string>}
+ */
+const HTML_BLOCK_ELEMENTS = [
+  "address", "article", "aside", "blockquote", "center", "dd", "div", "dl", "dt", "figcaption", "figure",
+  "footer", "form", "h1", "h2", "h3", "h4", "h5", "h6", "header", "hr", "li", "main", "nav", "ol", "p",
+  "pre", "section", "table", "tbody", "td", "tfoot", "th", "thead", "tr", "ul"
+];
+
+/**
+ * Named character references common in email HTML
+ * @type {Object<string, string>}
+ */
+const HTML_NAMED_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ", ensp: " ", emsp: " ", thinsp: " ",
+  copy: "©", reg: "®", trade: "™", hellip: "…", mdash: "—", ndash: "–", lsquo: "‘", rsquo: "’",
+  ldquo: "“", rdquo: "”", laquo: "«", raquo: "»", bull: "•", middot: "·", euro: "€", pound: "£",
+  yen: "¥", cent: "¢", deg: "°", times: "×", divide: "÷", para: "¶", sect: "§", zwj: "\u200D",
+  zwnj: "", shy: ""
+};
+
+/**
+ * Get the configured body content mode
+ * @returns {string} "plain_text" or "html_blocks"
+ */
+function getBodyContentMode() {
+  return PropertiesService.getUserProperties().getProperty("G2N_BODY_MODE") || "plain_text";
+}
+
+/**
+ * Convert email HTML into Notion blocks
+ * @param {string} html - Email HTML body
+ * @returns {Array<Object>} Notion block objects, possibly with nested children
+ */
+function convertHtmlToNotionBlocks(html) {
+  const root = parseHtml(html);
+  const blocks = convertHtmlChildren(root.children, { format: {}, preformatted: false });
+  
+  console.log(`Converted ${String(html || "").length} characters of HTML to ${blocks.length} blocks`);
+  return blocks;
+}
+
+/**
+ * Parse HTML into a lightweight element tree. Tolerates the unclosed and
+ * misnested tags common in email HTML.
+ * @param {string} html - HTML source
+ * @returns {{tag: string, attrs: Object, children: Array}} Root node; text nodes are {text: string}
+ */
+function parseHtml(html) {
+  const root = { tag: "#root", attrs: {}, children: [] };
+  const stack = [root];
+  const source = String(html || "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, "")
+    .replace(/<![^>]*>/g, "");
+  const tagPattern = /<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  let lastIndex = 0;
+  let match;
+  
+  while ((match = tagPattern.exec(source))) {
+    addHtmlText(stack, source.substring(lastIndex, match.index));
+    lastIndex = tagPattern.lastIndex;
+    
+    const tag = match[2].toLowerCase();
+    const selfClosing = /\/\s*$/.test(match[3]);
+    
+    if (match[1]) {
+      closeHtmlElement(stack, [tag], []);
+      continue;
+    }
+    
+    if (HTML_SKIPPED_ELEMENTS.includes(tag)) {
+      if (!selfClosing) {
+        const closePattern = new RegExp("</" + tag + "\\s*>", "gi");
+        closePattern.lastIndex = lastIndex;
+        const closeMatch = closePattern.exec(source);
+        lastIndex = closeMatch ? closePattern.lastIndex : source.length;
+        tagPattern.lastIndex = lastIndex;
+      }
+      continue;
+    }
+    
+    // Tags that implicitly close an open sibling
+    if (tag === "li") {
+      closeHtmlElement(stack, ["li"], ["ul", "ol", "table"]);
+    } else if (tag === "tr") {
+      closeHtmlElement(stack, ["tr"], ["table"]);
+    } else if (tag === "td" || tag === "th") {
+      closeHtmlElement(stack, ["td", "th"], ["tr", "table"]);
+    } else if (tag === "thead" || tag === "tbody" || tag === "tfoot") {
+      closeHtmlElement(stack, ["thead", "tbody", "tfoot"], ["table"]);
+    } else if (HTML_BLOCK_ELEMENTS.includes(tag) && stack[stack.length - 1].tag === "p") {
+      stack.pop();
+    }
+    
+    const element = { tag: tag, attrs: parseHtmlAttributes(match[3]), children: [] };
+    stack[stack.length - 1].children.push(element);
+    
+    if (!selfClosing && !HTML_VOID_ELEMENTS.includes(tag)) {
+      stack.push(element);
+    }
+  }
+  
+  addHtmlText(stack, source.substring(lastIndex));
+  return root;
+}
+
+/**
+ * Close the innermost open element with one of the given tags, unless a
+ * boundary element is reached first
+ * @param {Array<Object>} stack - Open elements
+ * @param {Array<string>} tags - Tags to close
+ * @param {Array<string>} boundaries - Tags that stop the search
+ */
+function closeHtmlElement(stack, tags, boundaries) {
+  for (let i = stack.length - 1; i > 0; i--) {
+    if (tags.includes(stack[i].tag)) {
+      stack.length = i;
+      return;
+    }
+    if (boundaries.includes(stack[i].tag)) {
+      return;
+    }
+  }
+}
+
+/**
+ * Add a text node to the current element
+ * @param {Array<Object>} stack - Open elements
+ * @param {string} text - Raw text between tags
+ */
+function addHtmlText(stack, text) {
+  if (text) {
+    stack[stack.length - 1].children.push({ text: decodeHtmlEntities(text) });
+  }
+}
+
+/**
+ * Parse the attributes of a start tag
+ * @param {string} source - Text between the tag name and ">"
+ * @returns {Object<string, string>} Attributes keyed by lower-case name
+ */
+function parseHtmlAttributes(source) {
+  const attrs = {};
+  const pattern = /([^\s=\/"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  
+  while ((match = pattern.exec(source))) {
+    const value = match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : (match[4] || ""));
+    attrs[match[1].toLowerCase()] = decodeHtmlEntities(value, true);
+  }
+  
+  return attrs;
+}
+
+/**
+ * Decode character references, and drop the invisible characters newsletters use as padding.
+ * As in HTML5, a named reference without ";" is left alone inside an attribute when "=" or a
+ * letter or digit follows, so query strings such as "?a=1&copy=2" survive in links.
+ * @param {string} text - HTML text
+ * @param {boolean} [inAttribute=false] - Whether the text is an attribute value
+ * @returns {string} Decoded text
+ */
+function decodeHtmlEntities(text, inAttribute = false) {
+  return text
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+\d*)(;?)/gi, (match, entity, semicolon, offset, source) => {
+      if (entity[0] === "#") {
+        const code = entity[1] === "x" || entity[1] === "X" ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+        return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+      }
+      
+      if (!semicolon && inAttribute && /[=a-z0-9]/i.test(source.charAt(offset + match.length))) {
+        return match;
+      }
+      
+      const named = HTML_NAMED_ENTITIES[entity.toLowerCase()];
+      return named !== undefined ? named : match;
+    })
+    .replace(/[\u200B\u200C\u00AD\u034F\uFEFF]/g, "");
+}
+
+/**
+ * Check whether a node has to be converted as a block rather than inline text
+ * @param {Object} node - Tree node
+ * @returns {boolean} True for block elements, images and inline elements containing them
+ */
+function isHtmlBlockNode(node) {
+  if (!node.tag) return false;
+  return HTML_BLOCK_ELEMENTS.includes(node.tag) || node.tag === "img" || node.children.some(isHtmlBlockNode);
+}
+
+/**
+ * Convert a list of sibling nodes, gathering inline content into paragraphs
+ * @param {Array<Object>} nodes - Tree nodes
+ * @param {{format: Object, preformatted: boolean}} context - Inherited formatting
+ * @returns {Array<Object>} Notion blocks
+ */
+function convertHtmlChildren(nodes, context) {
+  const blocks = [];
+  let runs = [];
+  
+  nodes.forEach(node => {
+    if (isHtmlBlockNode(node)) {
+      pushHtmlTextBlocks(blocks, "paragraph", runs);
+      runs = [];
+      blocks.push(...convertHtmlElement(node, context));
+    } else {
+      collectHtmlRuns(node, context.format, runs, context.preformatted);
+    }
+  });
+  
+  pushHtmlTextBlocks(blocks, "paragraph", runs);
+  return blocks;
+}
+
+/**
+ * Convert a block-level element
+ * @param {Object} node - Element node
+ * @param {{format: Object, preformatted: boolean}} context - Inherited formatting
+ * @returns {Array<Object>} Notion blocks
+ */
+function convertHtmlElement(node, context) {
+  const format = getHtmlFormat(node, context.format);
+  const blocks = [];
+  
+  switch (node.tag) {
+    case "h1":
+    case "h2":
+    case "h3":
+    case "h4":
+    case "h5":
+    case "h6":
+      const level = Math.min(3, parseInt(node.tag[1], 10));
+      pushHtmlTextBlocks(blocks, "heading_" + level, collectHtmlRuns(node, format, [], false));
+      return blocks;
+    
+    case "ul":
+    case "ol":
+      return convertHtmlList(node, Object.assign({}, context, { format: format }));
+    
+    case "blockquote":
+      return [wrapHtmlBlocks("quote", convertHtmlChildren(node.children, Object.assign({}, context, { format: format })))];
+    
+    case "pre":
+      const code = collectHtmlRuns(node, {}, [], true).map(run => run.text).join("").replace(/^\n|\n$/g, "");
+      let remaining = code;
+      
+      while (remaining) {
+        const built = buildNotionRichText(remaining, { overflow: "page_blocks" });
+        blocks.push({
+          object: "block",
+          type: "code",
+          code: { rich_text: built.richText, language: "plain text" }
+        });
+        remaining = built.overflowText;
+      }
+      return blocks;
+    
+    case "hr":
+      return [{ object: "block", type: "divider", divider: {} }];
+    
+    case "img":
+      const image = buildHtmlImageBlock(node);
+      return image ? [image] : [];
+    
+    case "table":
+      return convertHtmlTable(node, Object.assign({}, context, { format: format }));
+    
+    default:
+      // div, p, section and inline elements wrapping blocks are containers
+      return convertHtmlChildren(node.children, Object.assign({}, context, { format: format }));
+  }
+}
+
+/**
+ * Convert a list into list item blocks; nested lists become children
+ * @param {Object} node - ul or ol element
+ * @param {{format: Object, preformatted: boolean}} context - Inherited formatting
+ * @returns {Array<Object>} List item blocks
+ */
+function convertHtmlList(node, context) {
+  const type = node.tag === "ol" ? "numbered_list_item" : "bulleted_list_item";
+  const blocks = [];
+  
+  node.children.forEach(child => {
+    if (child.tag === "li") {
+      blocks.push(wrapHtmlBlocks(type, convertHtmlChildren(child.children, context)));
+    } else if (child.tag === "ul" || child.tag === "ol") {
+      // A list directly inside a list belongs to the previous item
+      const nested = convertHtmlList(child, context);
+      const previous = blocks[blocks.length - 1];
+      
+      if (previous) {
+        previous[type].children = (previous[type].children || []).concat(nested);
+      } else {
+        blocks.push(...nested);
+      }
+    } else if (child.tag || child.text.trim()) {
+      blocks.push(wrapHtmlBlocks(type, convertHtmlChildren([child], context)));
+    }
+  });
+  
+  return blocks;
+}
+
+/**
+ * Make a block of the given type from converted content: a leading paragraph
+ * supplies its text and the remaining blocks become its children
+ * @param {string} type - Block type, e.g. "quote" or "bulleted_list_item"
+ * @param {Array<Object>} contentBlocks - Converted content
+ * @returns {Object} Notion block
+ */
+function wrapHtmlBlocks(type, contentBlocks) {
+  const first = contentBlocks[0];
+  const hasText = first && first.type === "paragraph" && !first.paragraph.children;
+  const children = hasText ? contentBlocks.slice(1) : contentBlocks;
+  const content = { rich_text: hasText ? first.paragraph.rich_text : [] };
+  
+  if (children.length > 0) {
+    content.children = children;
+  }
+  
+  return { object: "block", type: type, [type]: content };
+}
+
+/**
+ * Convert a table. Tables holding tabular data become Notion tables; the
+ * layout tables most newsletters are built from are unwrapped into their content.
+ * @param {Object} node - table element
+ * @param {{format: Object, preformatted: boolean}} context - Inherited formatting
+ * @returns {Array<Object>} Notion blocks
+ */
+function convertHtmlTable(node, context) {
+  const rows = [];
+  
+  const visit = element => {
+    element.children.forEach(child => {
+      if (child.tag === "tr") {
+        rows.push(child.children.filter(cell => cell.tag === "td" || cell.tag === "th"));
+      } else if (child.tag === "thead" || child.tag === "tbody" || child.tag === "tfoot") {
+        visit(child);
+      }
+    });
+  };
+  visit(node);
+  
+  const width = Math.max(0, ...rows.map(row => row.length));
+  const hasBlockContent = cell => cell.children.some(child => child.tag === "table" || child.tag === "img" ||
+    (child.tag && HTML_BLOCK_ELEMENTS.includes(child.tag) && child.tag !== "p" && child.tag !== "div") ||
+    (child.tag && hasBlockContent(child)));
+  const isLayout = node.attrs.role === "presentation" || width < 2 ||
+    rows.some(row => row.some(hasBlockContent));
+  
+  if (isLayout) {
+    const blocks = [];
+    rows.forEach(row => row.forEach(cell => {
+      blocks.push(...convertHtmlChildren(cell.children, Object.assign({}, context, { format: getHtmlFormat(cell, context.format) })));
+    }));
+    return blocks;
+  }
+  
+  const tableRows = rows.map(row => {
+    const cells = row.map(cell => {
+      const cellFormat = getHtmlFormat(cell, context.format);
+      return buildHtmlRichText(collectHtmlRuns(cell, cellFormat, [], false)).slice(0, NOTION_TEXT_LIMITS.maxElements);
+    });
+    
+    while (cells.length < width) {
+      cells.push([]);
+    }
+    
+    return { object: "block", type: "table_row", table_row: { cells: cells } };
+  });
+  
+  return [{
+    object: "block",
+    type: "table",
+    table: {
+      table_width: width,
+      has_column_header: rows.length > 1 && rows[0].every(cell => cell.tag === "th"),
+      has_row_header: false,
+      children: tableRows
+    }
+  }];
+}
+
+/**
+ * Build an image block for an image with a public URL. Embedded (cid:, data:)
+ * images and tracking pixels are skipped.
+ * @param {Object} node - img element
+ * @returns {Object|null} Image block or null
+ */
+function buildHtmlImageBlock(node) {
+  const src = node.attrs.src || "";
+  const isPixel = ["width", "height"].some(name => node.attrs[name] !== undefined && parseInt(node.attrs[name], 10) <= 2);
+  
+  if (!/^https?:\/\//i.test(src) || src.length > 2000 || isPixel) {
+    return null;
+  }
+  
+  const image = { type: "external", external: { url: src } };
+  const alt = (node.attrs.alt || "").trim();
+  
+  if (alt) {
+    image.caption = buildNotionRichText(alt, { maxElements: 1, overflow: "truncate" }).richText;
+  }
+  
+  return { object: "block", type: "image", image: image };
+}
+
+/**
+ * Collect formatted text runs from a node and its descendants. Block
+ * boundaries inside the node become line breaks.
+ * @param {Object} node - Tree node
+ * @param {Object} format - Inherited formatting (bold, italic, strikethrough, underline, code, link)
+ * @param {Array<{text: string, format: Object}>} runs - Runs collected so far
+ * @param {boolean} preformatted - Keep whitespace as is
+ * @returns {Array<{text: string, format: Object}>} The runs array
+ */
+function collectHtmlRuns(node, format, runs, preformatted) {
+  if (node.text !== undefined) {
+    runs.push({ text: preformatted ? node.text : node.text.replace(/\s+/g, " "), format: format });
+    return runs;
+  }
+  
+  if (node.tag === "br") {
+    runs.push({ text: "\n", format: format });
+    return runs;
+  }
+  
+  if (node.tag === "img") {
+    return runs;
+  }
+  
+  const isBlock = HTML_BLOCK_ELEMENTS.includes(node.tag);
+  const breakLine = () => {
+    if (runs.length > 0 && !/\n$/.test(runs[runs.length - 1].text)) {
+      runs.push({ text: "\n", format: format });
+    }
+  };
+  
+  if (isBlock) breakLine();
+  
+  const childFormat = getHtmlFormat(node, format);
+  node.children.forEach(child => collectHtmlRuns(child, childFormat, runs, preformatted || node.tag === "pre"));
+  
+  if (node.tag === "td" || node.tag === "th") {
+    runs.push({ text: " ", format: format });
+  } else if (isBlock) {
+    breakLine();
+  }
+  
+  return runs;
+}
+
+/**
+ * Work out the formatting an element applies to its content
+ * @param {Object} node - Element node
+ * @param {Object} format - Inherited formatting
+ * @returns {Object} Formatting for the element's content
+ */
+function getHtmlFormat(node, format) {
+  const next = Object.assign({}, format);
+  const style = (node.attrs.style || "").toLowerCase();
+  
+  if (["b", "strong", "th"].includes(node.tag) || /font-weight\s*:\s*(bold|[6-9]00)/.test(style)) next.bold = true;
+  if (["i", "em", "cite"].includes(node.tag) || /font-style\s*:\s*italic/.test(style)) next.italic = true;
+  if (["u", "ins"].includes(node.tag) || /text-decoration[^;]*underline/.test(style)) next.underline = true;
+  if (["s", "strike", "del"].includes(node.tag) || /text-decoration[^;]*line-through/.test(style)) next.strikethrough = true;
+  if (["code", "kbd", "samp", "tt"].includes(node.tag)) next.code = true;
+  
+  if (node.tag === "a") {
+    const href = (node.attrs.href || "").trim();
+    // Notion only accepts absolute links
+    if (/^(https?:|mailto:)/i.test(href) && href.length <= 2000) {
+      next.link = href;
+    }
+  }
+  
+  return next;
+}
+
+/**
+ * Turn text runs into rich text elements, merging runs with the same formatting
+ * @param {Array<{text: string, format: Object}>} runs - Text runs
+ * @returns {Array<Object>} Rich text elements (not limited in number)
+ */
+function buildHtmlRichText(runs) {
+  const merged = [];
+  
+  runs.forEach(run => {
+    const previous = merged[merged.length - 1];
+    if (previous && JSON.stringify(previous.format) === JSON.stringify(run.format)) {
+      previous.text += run.text;
+    } else {
+      merged.push({ text: run.text, format: run.format });
+    }
+  });
+  
+  // Spaces around line breaks and at the ends are not visible in HTML
+  merged.forEach(run => {
+    run.text = run.text.replace(/ *\n */g, "\n").replace(/\n{3,}/g, "\n\n");
+  });
+  if (merged.length > 0) {
+    merged[0].text = merged[0].text.replace(/^\s+/, "");
+    merged[merged.length - 1].text = merged[merged.length - 1].text.replace(/\s+$/, "");
+  }
+  
+  const elements = [];
+  
+  merged.filter(run => run.text).forEach(run => {
+    const annotations = {};
+    ["bold", "italic", "strikethrough", "underline", "code"].forEach(name => {
+      if (run.format[name]) annotations[name] = true;
+    });
+    
+    let offset = 0;
+    while (offset < run.text.length) {
+      const end = findTextBreak(run.text, offset, NOTION_TEXT_LIMITS.maxContentLength);
+      const element = buildTextElement(run.text.substring(offset, end), Object.keys(annotations).length > 0 ? annotations : undefined);
+      
+      if (run.format.link) {
+        element.text.link = { url: run.format.link };
+      }
+      
+      elements.push(element);
+      offset = end;
+    }
+  });
+  
+  return elements;
+}
+
+/**
+ * Add text blocks for the given runs, starting a new block whenever one
+ * reaches the element limit. Headings keep only what fits in one block.
+ * @param {Array<Object>} blocks - Blocks to add to
+ * @param {string} type - Block type
+ * @param {Array<{text: string, format: Object}>} runs - Text runs
+ */
+function pushHtmlTextBlocks(blocks, type, runs) {
+  const elements = buildHtmlRichText(runs);
+  const maxElements = NOTION_TEXT_LIMITS.maxElements;
+  
+  for (let start = 0; start < elements.length; start += maxElements) {
+    blocks.push({
+      object: "block",
+      type: type,
+      [type]: { rich_text: elements.slice(start, start + maxElements) }
+    });
+    
+    if (type !== "paragraph") break;
+  }
+}
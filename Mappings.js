@@ -34,17 +34,42 @@ function getMappings() {
 
 /**
  * Show mappings configuration card
+ * @param {Object} [event] - Event object
+ * @param {Object} [event.parameters] - Action parameters; propertyId highlights that property
  * @returns {CardService.Card} Mappings configuration card
  */
-function showMappingsConfiguration() {
+function showMappingsConfiguration(event) {
   try {
-    return buildMappingsCard();
+    return buildMappingsCard(event?.parameters?.propertyId);
   } catch (error) {
     console.error("Error building mappings card:", error);
     return buildSchemaErrorCard(error.message);
   }
 }
 
+/**
+ * Reload the database schema and workspace users from Notion, bypassing the cache
+ * @returns {CardService.ActionResponse} Action response
+ */
+function refreshDatabaseSchema() {
+  console.log("refreshDatabaseSchema called");
+  
+  var config = getConfig();
+  invalidateDatabaseSchemaCache(config.databaseId, config.dataSourceId);
+  invalidateWorkspaceUsersCache();
+  
+  return CardService.newActionResponseBuilder()
+    .setNotification(
+      CardService.newNotification()
+        .setText("🔄 Reloaded database schema from Notion")
+    )
+    .setNavigation(
+      CardService.newNavigation()
+        .updateCard(showMappingsConfiguration())
+    )
+    .build();
+}
+
 /**
  * Enable common/useful fields for quick setup
  * @returns {CardService.ActionResponse} Action response with notification
@@ -72,6 +97,8 @@ function enableCommonFields() {
     
     // Enable common fields
     Object.values(mappings).forEach(mapping => {
+      if (mapping.isPageContent) return;
+      
       var propertyNameLower = mapping.notionPropertyName.toLowerCase();
       var propertyType = mapping.type;
       
@@ -189,8 +216,8 @@ function saveMappingsConfiguration(event) {
       throw new Error("No API key or database ID configured");
     }
     
-    // Fetch database schema
-    var schemaResult = fetchNotionDatabaseSchema(config.databaseId, config.apiKey);
+    // Fetch database schema (normally cached from rendering the mappings card)
+    var schemaResult = getCachedDatabaseSchema(config.databaseId, config.apiKey, config.dataSourceId);
     if (!schemaResult || !schemaResult.success) {
       throw new Error("Could not fetch database schema");
     }
@@ -235,6 +262,8 @@ function saveMappingsConfiguration(event) {
         console.log(`  ✓ Processed with fallback (${propertyType})`);
       }
       
+      mapping.overwritePolicy = formInputs["updatePolicy_" + propertyId] || DEFAULT_PAGE_UPDATE_POLICY;
+      
       // VALIDATION: Check if this is a standard mappable property
       // Skip validation for static-value properties (handled by their handlers)
       if (!["relation", "checkbox", "select", "status", "multi_select", "people"].includes(propertyType)) {
@@ -251,6 +280,9 @@ function saveMappingsConfiguration(event) {
       }
     });
     
+    // The page body is configured in its own section, not from the schema
+    savedMappings[PAGE_CONTENT_PROPERTY.id] = PropertyHandlers.page_content.processConfiguration(PAGE_CONTENT_PROPERTY, formInputs);
+    
     // If there are validation errors, show them to the user
     if (validationErrors.length > 0) {
       var errorMessage = "❌ Mapping validation errors:\n" + validationErrors.join("\n");
@@ -270,6 +302,24 @@ function saveMappingsConfiguration(event) {
     userProps.setProperty("G2N_MAPPINGS", JSON.stringify(savedMappings));
     console.log("Mappings saved successfully");
     
+    // Custom header mappings need a header name, entered on the re-rendered card
+    var missingHeaderNames = Object.values(savedMappings)
+      .filter(mapping => mapping.enabled && mapping.emailField === "customHeader" && !mapping.headerName)
+      .map(mapping => mapping.notionPropertyName);
+    
+    if (missingHeaderNames.length > 0) {
+      return CardService.newActionResponseBuilder()
+        .setNotification(
+          CardService.newNotification()
+            .setText("✅ Saved. Now enter the header name for: " + missingHeaderNames.join(", "))
+        )
+        .setNavigation(
+          CardService.newNavigation()
+            .updateCard(buildMappingsCard())
+        )
+        .build();
+    }
+    
     return CardService.newActionResponseBuilder()
       .setNotification(
         CardService.newNotification()
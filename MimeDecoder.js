@@ -0,0 +1,175 @@
+/**
+ * @fileoverview MIME body and header decoding
+ * @version 2.0.0
+ * @description Decodes message bodies using their charset, and RFC 2047 encoded words
+ */
+
+/**
+ * Charset labels seen in mail mapped to the names Apps Script understands.
+ * Like browsers, ISO-8859-1 and US-ASCII are read as Windows-1252, which
+ * mislabeled mail with smart quotes and euro signs relies on.
+ * @type {Object<string, string>}
+ */
+const MIME_CHARSET_ALIASES = {
+  "utf8": "UTF-8",
+  "unicode-1-1-utf-8": "UTF-8",
+  "us-ascii": "windows-1252",
+  "ascii": "windows-1252",
+  "iso-8859-1": "windows-1252",
+  "iso8859-1": "windows-1252",
+  "latin1": "windows-1252",
+  "cp1252": "windows-1252",
+  "x-sjis": "Shift_JIS",
+  "shift-jis": "Shift_JIS",
+  "sjis": "Shift_JIS",
+  "cp932": "windows-31j",
+  "gb2312": "GBK",
+  "x-gbk": "GBK",
+  "ks_c_5601-1987": "EUC-KR",
+  "x-euc-jp": "EUC-JP"
+};
+
+/**
+ * Split a structured header value such as Content-Type into its value and parameters
+ * @param {string} headerValue - Header value, e.g. 'text/plain; charset="iso-2022-jp"'
+ * @returns {{value: string, params: Object<string, string>}} Lower-case value and parameters keyed by lower-case name
+ */
+function parseHeaderParameters(headerValue) {
+  const segments = String(headerValue || "").match(/(?:[^;"]+|"(?:\\.|[^"\\])*")+/g) || [];
+  const params = {};
+  
+  segments.slice(1).forEach(segment => {
+    const separator = segment.indexOf("=");
+    if (separator === -1) return;
+    
+    const name = segment.substring(0, separator).trim().toLowerCase();
+    let value = segment.substring(separator + 1).trim();
+    
+    if (value.startsWith('"')) {
+      value = value.replace(/^"|"$/g, "").replace(/\\(.)/g, "$1");
+    }
+    
+    // RFC 2231 extended value: charset'language'percent-encoded
+    if (name.endsWith("*")) {
+      params[name.slice(0, -1)] = value.replace(/^[^']*'[^']*'/, "");
+    } else {
+      params[name] = value;
+    }
+  });
+  
+  return {
+    value: (segments[0] || "").trim().toLowerCase(),
+    params: params
+  };
+}
+
+/**
+ * Map a MIME charset label to a charset name for Blob.getDataAsString
+ * @param {string} charset - Charset label from the message, may be empty
+ * @returns {string} Charset name (UTF-8 if none was given)
+ */
+function normalizeCharset(charset) {
+  const label = String(charset || "").trim().replace(/^"|"$/g, "").toLowerCase();
+  
+  if (!label) {
+    return "UTF-8";
+  }
+  
+  return MIME_CHARSET_ALIASES[label] || label;
+}
+
+/**
+ * Decode bytes as text in the given charset, falling back to UTF-8 if the
+ * charset is unknown
+ * @param {Array<number>} bytes - Bytes as returned by Utilities (signed)
+ * @param {string} charset - Charset label
+ * @returns {string} Decoded text
+ */
+function decodeBytes(bytes, charset) {
+  const name = normalizeCharset(charset);
+  
+  try {
+    return Utilities.newBlob(bytes).getDataAsString(name);
+  } catch (error) {
+    console.warn(`Unsupported charset "${charset}", decoding as UTF-8:`, error.message);
+    return Utilities.newBlob(bytes).getDataAsString("UTF-8");
+  }
+}
+
+/**
+ * Decode the Q encoding of RFC 2047 to bytes: quoted-printable where "_" stands for a space
+ * @param {string} text - Encoded text
+ * @returns {Array<number>} Decoded bytes (signed, as Utilities expects)
+ */
+function decodeQuotedPrintable(text) {
+  const input = String(text || "").replace(/_/g, " ");
+  const bytes = [];
+  
+  for (let i = 0; i < input.length; i++) {
+    const hex = input.substr(i + 1, 2);
+    
+    if (input[i] === "=" && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      // Unencoded characters are ASCII, or 8-bit text from a non-conforming sender
+      Utilities.newBlob(input[i]).getBytes().forEach(byte => bytes.push(byte & 0xFF));
+    }
+  }
+  
+  return bytes.map(byte => byte > 127 ? byte - 256 : byte);
+}
+
+/**
+ * Decode the body of a part from the Gmail API. The API has already removed the
+ * transfer encoding and re-encoded the bytes as base64url, but left the charset
+ * as the sender wrote it.
+ * @param {Object} part - Message part from Gmail.Users.Messages.get (format "full")
+ * @returns {string} Decoded text, or an empty string if the part has no inline data
+ */
+function decodeGmailPartBody(part) {
+  const data = part && part.body && part.body.data;
+  
+  if (!data || typeof data !== "string") {
+    return "";
+  }
+  
+  const contentType = (part.headers || [])
+    .filter(header => header.name.toLowerCase() === "content-type")
+    .map(header => header.value)[0] || part.mimeType;
+  
+  try {
+    const padded = data + "===".substring(0, (4 - data.length % 4) % 4);
+    return decodeBytes(Utilities.base64DecodeWebSafe(padded), parseHeaderParameters(contentType).params.charset);
+  } catch (error) {
+    console.warn("Could not decode message part:", error.message);
+    return "";
+  }
+}
+
+/**
+ * Decode RFC 2047 encoded words such as =?UTF-8?B?...?= or =?ISO-2022-JP?Q?...?=
+ * @param {string} text - Header text
+ * @returns {string} Decoded text
+ */
+function decodeEncodedWords(text) {
+  if (!text || text.indexOf("=?") === -1) {
+    return text || "";
+  }
+  
+  // Whitespace between adjacent encoded words is not part of the text
+  return text
+    .replace(/(=\?[^?]+\?[bBqQ]\?[^?]*\?=)\s+(?==\?[^?]+\?[bBqQ]\?[^?]*\?=)/g, "$1")
+    .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([bBqQ])\?([^?]*)\?=/g, (match, charset, encoding, encoded) => {
+      try {
+        const bytes = encoding.toUpperCase() === "B"
+          ? Utilities.base64Decode(encoded + "===".substring(0, (4 - encoded.length % 4) % 4))
+          : decodeQuotedPrintable(encoded);
+        
+        return decodeBytes(bytes, charset);
+      } catch (error) {
+        console.warn("Could not decode encoded word:", match, error.message);
+        return match;
+      }
+    });
+}
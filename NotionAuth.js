@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Notion OAuth sign-in for a public integration
+ * @version 2.0.0
+ * @description Authorization-code flow built on the Apps Script OAuth2 library
+ *
+ * Setup (once per deployment):
+ * 1. Create a public integration at https://www.notion.so/my-integrations
+ * 2. Add the redirect URI https://script.google.com/macros/d/{SCRIPT_ID}/usercallback
+ * 3. Store the credentials as script properties NOTION_OAUTH_CLIENT_ID and NOTION_OAUTH_CLIENT_SECRET
+ */
+
+/**
+ * Create the OAuth2 service for Notion. Tokens are stored in user properties.
+ * @returns {Object} OAuth2 service
+ */
+function getNotionOAuthService() {
+  const scriptProps = PropertiesService.getScriptProperties();
+  const clientId = scriptProps.getProperty("NOTION_OAUTH_CLIENT_ID") || "";
+  const clientSecret = scriptProps.getProperty("NOTION_OAUTH_CLIENT_SECRET") || "";
+  
+  return OAuth2.createService("notion")
+    .setAuthorizationBaseUrl("https://api.notion.com/v1/oauth/authorize")
+    .setTokenUrl("https://api.notion.com/v1/oauth/token")
+    .setClientId(clientId)
+    .setClientSecret(clientSecret)
+    .setCallbackFunction("notionAuthCallback")
+    .setPropertyStore(PropertiesService.getUserProperties())
+    .setCache(CacheService.getUserCache())
+    .setLock(LockService.getUserLock())
+    .setParam("owner", "user")
+    // Notion expects the client credentials as HTTP Basic auth on the token request
+    .setTokenHeaders({
+      Authorization: "Basic " + Utilities.base64Encode(clientId + ":" + clientSecret)
+    });
+}
+
+/**
+ * Check whether OAuth sign-in is available in this deployment
+ * @returns {boolean} True if the OAuth2 library is present and client credentials are set
+ */
+function isNotionOAuthConfigured() {
+  if (typeof OAuth2 === "undefined") {
+    return false;
+  }
+  
+  const scriptProps = PropertiesService.getScriptProperties();
+  return !!(scriptProps.getProperty("NOTION_OAUTH_CLIENT_ID") && scriptProps.getProperty("NOTION_OAUTH_CLIENT_SECRET"));
+}
+
+/**
+ * Get the OAuth access token, if the user has signed in with Notion
+ * @returns {string} Access token or empty string
+ */
+function getNotionOAuthToken() {
+  if (!isNotionOAuthConfigured()) {
+    return "";
+  }
+  
+  try {
+    const service = getNotionOAuthService();
+    return service.hasAccess() ? service.getAccessToken() : "";
+  } catch (error) {
+    console.error("Error reading Notion OAuth token:", error);
+    return "";
+  }
+}
+
+/**
+ * Get the name of the workspace the user authorized
+ * @returns {string} Workspace name or empty string
+ */
+function getNotionOAuthWorkspaceName() {
+  if (!getNotionOAuthToken()) {
+    return "";
+  }
+  
+  const token = getNotionOAuthService().getToken() || {};
+  return token.workspace_name || "";
+}
+
+/**
+ * Show the Notion authorization card
+ * @returns {CardService.Card} Authorization card
+ */
+function showNotionAuthorization() {
+  console.log("✅ showNotionAuthorization called");
+  return buildNotionAuthorizationCard();
+}
+
+/**
+ * OAuth callback, invoked by Notion after the user approves access
+ * @param {Object} request - Callback request with the authorization code
+ * @returns {HtmlService.HtmlOutput} Page shown in the popup window
+ */
+function notionAuthCallback(request) {
+  console.log("✅ notionAuthCallback called");
+  
+  try {
+    const service = getNotionOAuthService();
+    
+    if (!service.handleCallback(request)) {
+      return HtmlService.createHtmlOutput("❌ Notion access was denied. You can close this window and try again.");
+    }
+    
+    // The new workspace replaces any pasted key and previous database selection
+    const props = PropertiesService.getUserProperties();
+    props.deleteProperty("G2N_API_KEY");
+    props.deleteProperty("G2N_DATABASE_ID");
+    props.deleteProperty("G2N_DATABASE_NAME");
+    props.deleteProperty("G2N_DATA_SOURCE_ID");
+    invalidateWorkspaceUsersCache();
+    
+    const workspaceName = (service.getToken() || {}).workspace_name || "your workspace";
+    console.log("Connected to Notion workspace:", workspaceName);
+    
+    return HtmlService.createHtmlOutput(
+      `✅ Connected to ${escapeHtml(workspaceName)}. You can close this window and refresh the add-on.`
+    );
+  } catch (error) {
+    console.error("Error handling Notion OAuth callback:", error);
+    return HtmlService.createHtmlOutput("❌ Could not connect to Notion: " + escapeHtml(error.message));
+  }
+}
+
+/**
+ * Disconnect the Notion OAuth connection
+ * @returns {CardService.ActionResponse} Action response
+ */
+function disconnectNotion() {
+  console.log("✅ disconnectNotion called");
+  
+  try {
+    if (isNotionOAuthConfigured()) {
+      getNotionOAuthService().reset();
+    }
+    
+    const props = PropertiesService.getUserProperties();
+    props.deleteProperty("G2N_DATABASE_ID");
+    props.deleteProperty("G2N_DATABASE_NAME");
+    props.deleteProperty("G2N_DATA_SOURCE_ID");
+    invalidateWorkspaceUsersCache();
+    
+    console.log("Notion OAuth token removed, database selection cleared");
+    
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification()
+        .setText("✅ Disconnected from Notion"))
+      .setNavigation(CardService.newNavigation()
+        .updateCard(buildSettingsCard()))
+      .build();
+  
+  } catch (error) {
+    console.error("Error disconnecting Notion:", error);
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification()
+        .setText("❌ Failed to disconnect: " + error.message))
+      .build();
+  }
+}
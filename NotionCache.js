@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Cache for Notion database schemas and workspace users
+ * @version 2.0.0
+ * @description Keeps schemas and users in the user cache so cards render without repeated API calls
+ */
+
+/**
+ * Cache lifetimes in seconds. A cached schema is used as-is until it expires.
+ * Notion has no lighter request that reports last_edited_time than the schema
+ * fetch itself, so the lifetime is kept short; database listings, which do
+ * report it, drop changed schemas sooner.
+ * @type {{schemaTtlSeconds: number, usersTtlSeconds: number}}
+ */
+const NOTION_CACHE_CONFIG = {
+  schemaTtlSeconds: 300,
+  usersTtlSeconds: 600
+};
+
+/**
+ * Per-execution memo, so repeated lookups in one card render skip the cache service
+ * @type {Object<string, *>}
+ */
+const NOTION_CACHE_MEMO = {};
+
+/**
+ * Get database schema, served from cache when possible
+ * @param {string} databaseId - Notion database ID
+ * @param {string} apiKey - Notion API key
+ * @param {string} [dataSourceId] - Data source ID for multi-source databases
+ * @param {Object} [options] - Cache options
+ * @param {boolean} [options.forceRefresh] - Ignore cached data
+ * @returns {Object} Response object with success status and data, as for fetchNotionDatabaseSchema
+ */
+function getCachedDatabaseSchema(databaseId, apiKey, dataSourceId, options = {}) {
+  const cacheKey = getSchemaCacheKey(databaseId, dataSourceId);
+  const cache = CacheService.getUserCache();
+  
+  if (!options.forceRefresh && NOTION_CACHE_MEMO[cacheKey]) {
+    return NOTION_CACHE_MEMO[cacheKey];
+  }
+  
+  let cachedEntry = null;
+  if (!options.forceRefresh) {
+    try {
+      cachedEntry = JSON.parse(cache.get(cacheKey) || "null");
+    } catch (error) {
+      console.warn("Ignoring unreadable schema cache entry:", error.message);
+    }
+  }
+  
+  if (cachedEntry) {
+    console.log(`Schema cache hit for ${databaseId}`);
+    NOTION_CACHE_MEMO[cacheKey] = cachedEntry.result;
+    return cachedEntry.result;
+  }
+  
+  const result = fetchNotionDatabaseSchema(databaseId, apiKey, dataSourceId);
+  
+  if (result.success) {
+    NOTION_CACHE_MEMO[cacheKey] = result;
+    
+    try {
+      cache.put(cacheKey, JSON.stringify({
+        lastEditedTime: result.database.lastEditedTime,
+        result: result
+      }), NOTION_CACHE_CONFIG.schemaTtlSeconds);
+    } catch (error) {
+      // Cache values are limited to 100KB; very large schemas are simply not cached
+      console.warn("Could not cache database schema:", error.message);
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Drop cached schemas for a database
+ * @param {string} databaseId - Notion database ID
+ * @param {string} [dataSourceId] - Data source ID for multi-source databases
+ */
+function invalidateDatabaseSchemaCache(databaseId, dataSourceId) {
+  const cacheKey = getSchemaCacheKey(databaseId, dataSourceId);
+  delete NOTION_CACHE_MEMO[cacheKey];
+  CacheService.getUserCache().remove(cacheKey);
+}
+
+/**
+ * Invalidate cached schemas of databases that changed since they were cached.
+ * Called wherever the API reports databases with their last_edited_time.
+ * @param {Array<{id: string, dataSourceId: string, lastEdited: string}>} databases - Databases as listed by Notion
+ */
+function noteDatabasesLastEdited(databases) {
+  const cache = CacheService.getUserCache();
+  const keyed = {};
+  
+  databases.forEach(db => {
+    if (db.lastEdited) {
+      keyed[getSchemaCacheKey(db.id, db.dataSourceId)] = db;
+    }
+  });
+  
+  const cachedEntries = cache.getAll(Object.keys(keyed));
+  
+  Object.entries(cachedEntries).forEach(([cacheKey, cached]) => {
+    const db = keyed[cacheKey];
+    let lastEditedTime = null;
+    
+    try {
+      lastEditedTime = JSON.parse(cached).lastEditedTime;
+    } catch (error) {
+      // Unreadable entries are dropped below
+    }
+    
+    if (lastEditedTime !== db.lastEdited) {
+      console.log(`Database ${db.id} changed since it was cached, invalidating`);
+      invalidateDatabaseSchemaCache(db.id, db.dataSourceId);
+    }
+  });
+}
+
+/**
+ * Get Notion workspace users, served from cache when possible
+ * @returns {Array<{id: string, name: string, email: string}>} Array of Notion users
+ */
+function getCachedWorkspaceUsers() {
+  const cacheKey = "G2N_USERS_" + getNotionApiVersion();
+  
+  if (NOTION_CACHE_MEMO[cacheKey]) {
+    return NOTION_CACHE_MEMO[cacheKey];
+  }
+  
+  const cache = CacheService.getUserCache();
+  const cached = cache.get(cacheKey);
+  
+  if (cached) {
+    NOTION_CACHE_MEMO[cacheKey] = JSON.parse(cached);
+    return NOTION_CACHE_MEMO[cacheKey];
+  }
+  
+  const users = fetchNotionWorkspaceUsers();
+  NOTION_CACHE_MEMO[cacheKey] = users;
+  
+  // An empty list usually means the call failed, so do not keep it around
+  if (users.length > 0) {
+    try {
+      cache.put(cacheKey, JSON.stringify(users), NOTION_CACHE_CONFIG.usersTtlSeconds);
+    } catch (error) {
+      console.warn("Could not cache workspace users:", error.message);
+    }
+  }
+  
+  return users;
+}
+
+/**
+ * Drop cached workspace users
+ */
+function invalidateWorkspaceUsersCache() {
+  const cacheKey = "G2N_USERS_" + getNotionApiVersion();
+  delete NOTION_CACHE_MEMO[cacheKey];
+  CacheService.getUserCache().remove(cacheKey);
+}
+
+/**
+ * Build the cache key for a database schema
+ * @param {string} databaseId - Notion database ID
+ * @param {string} [dataSourceId] - Data source ID for multi-source databases
+ * @returns {string} Cache key
+ */
+function getSchemaCacheKey(databaseId, dataSourceId) {
+  return ["G2N_SCHEMA", databaseId, dataSourceId || "default", getNotionApiVersion()].join("_");
+}
@@ -0,0 +1,448 @@
+/**
+ * @fileoverview Shared Notion API client
+ * @version 2.0.0
+ * @description Single entry point for Notion REST calls with retry, backoff, rate limiting and typed errors
+ */
+
+const NOTION_API_BASE_URL = "https://api.notion.com/v1";
+const NOTION_API_VERSION = "2022-06-28";
+
+/**
+ * First API version where databases contain data sources. From this version
+ * on, schemas live on /v1/data_sources and pages are created under a data source.
+ * @type {string}
+ */
+const NOTION_DATA_SOURCE_API_VERSION = "2025-09-03";
+
+/**
+ * API versions offered in Settings
+ * @type {Array<{label: string, value: string}>}
+ */
+const NOTION_API_VERSIONS = [
+  { label: "2022-06-28 (single-source databases)", value: NOTION_API_VERSION },
+  { label: "2025-09-03 (multi-source databases)", value: NOTION_DATA_SOURCE_API_VERSION }
+];
+
+/**
+ * Retry policy for transient Notion failures (429, 5xx, network errors).
+ * Card actions must finish within 30 seconds, so the total wait is capped.
+ * @type {{maxRetries: number, baseDelayMs: number, maxDelayMs: number, maxTotalWaitMs: number}}
+ */
+const NOTION_RETRY_CONFIG = {
+  maxRetries: 4,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  maxTotalWaitMs: 20000
+};
+
+/**
+ * Safety cap on the number of results collected when following cursors,
+ * so a huge workspace cannot exhaust the execution time limit.
+ * @type {number}
+ */
+const NOTION_PAGINATION_MAX_RESULTS = 1000;
+
+/**
+ * Limits on block children in a single create or append request. Blocks may
+ * nest two levels deep per request; deeper children are appended afterwards.
+ * @type {{maxChildrenPerRequest: number, maxBlocksPerRequest: number}}
+ */
+const NOTION_BLOCK_LIMITS = {
+  maxChildrenPerRequest: 100,
+  maxBlocksPerRequest: 1000
+};
+
+/**
+ * Per-user request budget. Notion allows an average of three requests per
+ * second per integration, so each user stays within that share.
+ * @type {{requestsPerWindow: number, windowMs: number}}
+ */
+const NOTION_RATE_LIMIT = {
+  requestsPerWindow: 3,
+  windowMs: 1000
+};
+
+/**
+ * Error thrown for any failed Notion API call
+ * @property {number} status - HTTP status code (0 for network failures)
+ * @property {string} code - Notion error code (e.g. "validation_error", "rate_limited")
+ * @property {string} requestId - Notion request ID, useful for support
+ * @property {number} retryAfterMs - Delay requested by Notion, if any
+ * @property {number} attempts - Number of attempts made before giving up
+ */
+class NotionApiError extends Error {
+  /**
+   * @param {string} message - Human readable error message
+   * @param {Object} details - Error details
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "NotionApiError";
+    this.status = details.status || 0;
+    this.code = details.code || "unknown_error";
+    this.requestId = details.requestId || "";
+    this.retryAfterMs = details.retryAfterMs || 0;
+    this.attempts = details.attempts || 1;
+  }
+  
+  /**
+   * Whether the failure is transient and the request may succeed if repeated
+   * @returns {boolean} True for rate limits, server errors and network failures
+   */
+  get isRetryable() {
+    return this.status === 0 || this.status === 429 || this.status >= 500;
+  }
+}
+
+/**
+ * Call the Notion API
+ * @param {string} path - API path relative to /v1 (e.g. "/pages")
+ * @param {Object} [options] - Request options
+ * @param {string} [options.method="GET"] - HTTP method
+ * @param {Object} [options.payload] - JSON body
+ * @param {string} [options.apiKey] - Notion API key (defaults to the configured key)
+ * @param {string} [options.notionVersion] - Notion-Version header (defaults to the configured version)
+ * @param {boolean} [options.retryOnServerError] - Retry server and network errors as well as rate limits.
+ *   Defaults to true only for reads (GET, queries and search): a write that fails after Notion
+ *   committed it would otherwise be repeated, creating duplicate pages or blocks.
+ * @returns {Object} Parsed JSON response
+ * @throws {NotionApiError} If the request fails after all retries
+ */
+function notionRequest(path, options = {}) {
+  const apiKey = options.apiKey || getConfig().apiKey;
+  
+  if (!apiKey) {
+    throw new NotionApiError("Notion API key is not configured", { status: 401, code: "unauthorized" });
+  }
+  
+  const method = (options.method || "GET").toUpperCase();
+  const retryOnServerError = options.retryOnServerError !== undefined
+    ? options.retryOnServerError
+    : method === "GET" || /\/(query|search)$/.test(path);
+  const fetchOptions = {
+    method: method,
+    headers: {
+      "Authorization": `Bearer ${apiKey}`,
+      "Notion-Version": options.notionVersion || getNotionApiVersion(),
+      "Content-Type": "application/json"
+    },
+    muteHttpExceptions: true
+  };
+  
+  if (options.payload !== undefined) {
+    fetchOptions.payload = JSON.stringify(options.payload);
+  }
+  
+  const url = NOTION_API_BASE_URL + path;
+  let totalWaitMs = 0;
+  
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    
+    try {
+      acquireNotionRequestSlot();
+      
+      const response = UrlFetchApp.fetch(url, fetchOptions);
+      const statusCode = response.getResponseCode();
+      const responseText = response.getContentText();
+      
+      if (statusCode >= 200 && statusCode < 300) {
+        return responseText ? JSON.parse(responseText) : {};
+      }
+      
+      error = buildNotionApiError(statusCode, responseText, response.getHeaders(), attempt + 1);
+    } catch (fetchError) {
+      if (fetchError instanceof NotionApiError) {
+        throw fetchError;
+      }
+      
+      // UrlFetchApp throws on DNS failures, timeouts and dropped connections
+      error = new NotionApiError("Network error calling Notion: " + fetchError.message, {
+        status: 0,
+        code: "network_error",
+        attempts: attempt + 1
+      });
+    }
+    
+    // A 429 means Notion rejected the request unprocessed, so it is safe to repeat any method
+    const retryable = error.status === 429 || (retryOnServerError && error.isRetryable);
+    
+    if (!retryable || attempt >= NOTION_RETRY_CONFIG.maxRetries) {
+      console.error(`Notion API ${method} ${path} failed (${error.status} ${error.code}):`, error.message);
+      throw error;
+    }
+    
+    const delayMs = getNotionRetryDelay(attempt, error.retryAfterMs);
+    
+    if (totalWaitMs + delayMs > NOTION_RETRY_CONFIG.maxTotalWaitMs) {
+      console.error(`Notion API ${method} ${path} giving up, retry budget exhausted`);
+      throw error;
+    }
+    
+    console.warn(`Notion API ${method} ${path} returned ${error.status} (${error.code}), retrying in ${delayMs}ms`);
+    Utilities.sleep(delayMs);
+    totalWaitMs += delayMs;
+  }
+}
+
+/**
+ * Get the Notion API version selected in Settings
+ * @returns {string} Notion-Version header value
+ */
+function getNotionApiVersion() {
+  return PropertiesService.getUserProperties().getProperty("G2N_NOTION_VERSION") || NOTION_API_VERSION;
+}
+
+/**
+ * Check whether an API version uses the data-source model
+ * @param {string} [version] - Notion API version (defaults to the configured version)
+ * @returns {boolean} True if databases must be accessed through data sources
+ */
+function usesNotionDataSources(version) {
+  // Versions are ISO dates, so string comparison orders them correctly
+  return (version || getNotionApiVersion()) >= NOTION_DATA_SOURCE_API_VERSION;
+}
+
+/**
+ * Build the parent object for creating a page in a database
+ * @param {string} databaseId - Notion database ID
+ * @param {string} [dataSourceId] - Data source ID within the database
+ * @returns {Object} Parent object for POST /v1/pages
+ */
+function buildNotionPageParent(databaseId, dataSourceId) {
+  if (dataSourceId && usesNotionDataSources()) {
+    return { type: "data_source_id", data_source_id: dataSourceId };
+  }
+  
+  return { database_id: databaseId };
+}
+
+/**
+ * Call a paginated Notion endpoint, following has_more/next_cursor
+ * @param {string} path - API path relative to /v1 (e.g. "/users")
+ * @param {Object} [options] - Request options, as for notionRequest
+ * @param {number} [options.maxResults] - Stop after this many results
+ * @param {string} [options.startCursor] - Cursor to resume from
+ * @returns {{results: Array, hasMore: boolean, nextCursor: string|null}} Collected results
+ * @throws {NotionApiError} If any page request fails
+ */
+function notionPaginate(path, options = {}) {
+  const method = (options.method || "GET").toUpperCase();
+  const maxResults = options.maxResults || NOTION_PAGINATION_MAX_RESULTS;
+  const results = [];
+  let cursor = options.startCursor || null;
+  let hasMore = true;
+  
+  while (hasMore && results.length < maxResults) {
+    const pageSize = Math.min(100, maxResults - results.length);
+    const requestOptions = { method: method, apiKey: options.apiKey, notionVersion: options.notionVersion };
+    let requestPath = path;
+    
+    if (method === "GET") {
+      requestPath += (path.includes("?") ? "&" : "?") + "page_size=" + pageSize +
+        (cursor ? "&start_cursor=" + encodeURIComponent(cursor) : "");
+    } else {
+      requestOptions.payload = Object.assign({}, options.payload, { page_size: pageSize });
+      if (cursor) {
+        requestOptions.payload.start_cursor = cursor;
+      }
+    }
+    
+    const data = notionRequest(requestPath, requestOptions);
+    results.push(...(data.results || []));
+    
+    hasMore = !!(data.has_more && data.next_cursor);
+    cursor = data.next_cursor || null;
+  }
+  
+  if (hasMore) {
+    console.warn(`Notion ${path} has more than ${results.length} results, stopped at the cap`);
+  }
+  
+  return {
+    results: results,
+    hasMore: hasMore,
+    nextCursor: hasMore ? cursor : null
+  };
+}
+
+/**
+ * Append blocks to a page or block, batching to stay within Notion's
+ * per-request limits and appending deeper nesting level by level
+ * @param {string} blockId - Page or block ID to append to
+ * @param {Array<Object>} blocks - Block objects, optionally with nested children
+ * @param {Object} [options] - Request options, as for notionRequest
+ * @returns {number} Number of requests made
+ * @throws {NotionApiError} If any append request fails
+ */
+function appendNotionBlockChildren(blockId, blocks, options = {}) {
+  let remaining = blocks;
+  let requestCount = 0;
+  
+  while (remaining.length > 0) {
+    const batch = takeNotionBlockBatch(remaining);
+    
+    const data = notionRequest(`/blocks/${blockId}/children`, {
+      method: "PATCH",
+      apiKey: options.apiKey,
+      notionVersion: options.notionVersion,
+      payload: { children: batch.blocks }
+    });
+    requestCount++;
+    
+    // Children that did not fit are appended under the blocks Notion just created
+    (data.results || []).forEach((created, index) => {
+      if (batch.deferred[index] && batch.deferred[index].length > 0) {
+        requestCount += appendNotionBlockChildren(created.id, batch.deferred[index], options);
+      }
+    });
+    
+    remaining = batch.rest;
+  }
+  
+  console.log(`Appended ${blocks.length} blocks to ${blockId} in ${requestCount} requests`);
+  return requestCount;
+}
+
+/**
+ * Take the next batch of blocks that fits in one request. A block keeps the
+ * leading children that have no children of their own; the remaining
+ * children are returned as deferred, to be appended once the block exists.
+ * @param {Array<Object>} blocks - Blocks still to be sent
+ * @returns {{blocks: Array<Object>, deferred: Array<Array<Object>>, rest: Array<Object>}} Batch, deferred children per batch block, and blocks left over
+ */
+function takeNotionBlockBatch(blocks) {
+  const batchBlocks = [];
+  const deferred = [];
+  let blockCount = 0;
+  
+  for (const block of blocks) {
+    if (batchBlocks.length >= NOTION_BLOCK_LIMITS.maxChildrenPerRequest) break;
+    
+    const children = getNotionBlockChildren(block);
+    let keepCount = 0;
+    
+    while (keepCount < children.length &&
+      keepCount < NOTION_BLOCK_LIMITS.maxChildrenPerRequest &&
+      getNotionBlockChildren(children[keepCount]).length === 0) {
+      keepCount++;
+    }
+    
+    if (blockCount + 1 + keepCount > NOTION_BLOCK_LIMITS.maxBlocksPerRequest && batchBlocks.length > 0) break;
+    
+    batchBlocks.push(keepCount === children.length ? block : withNotionBlockChildren(block, children.slice(0, keepCount)));
+    deferred.push(children.slice(keepCount));
+    blockCount += 1 + keepCount;
+  }
+  
+  return {
+    blocks: batchBlocks,
+    deferred: deferred,
+    rest: blocks.slice(batchBlocks.length)
+  };
+}
+
+/**
+ * Get the nested children of a block object
+ * @param {Object} block - Block object
+ * @returns {Array<Object>} Children, or an empty array
+ */
+function getNotionBlockChildren(block) {
+  return (block && block.type && block[block.type] && block[block.type].children) || [];
+}
+
+/**
+ * Copy a block object with a different set of children
+ * @param {Object} block - Block object
+ * @param {Array<Object>} children - Children to keep
+ * @returns {Object} Block copy
+ */
+function withNotionBlockChildren(block, children) {
+  const content = Object.assign({}, block[block.type]);
+  
+  if (children.length > 0) {
+    content.children = children;
+  } else {
+    delete content.children;
+  }
+  
+  return Object.assign({}, block, { [block.type]: content });
+}
+
+/**
+ * Build a typed error from a failed Notion response
+ * @param {number} statusCode - HTTP status code
+ * @param {string} responseText - Raw response body
+ * @param {Object} headers - Response headers
+ * @param {number} attempts - Attempts made so far
+ * @returns {NotionApiError} Typed error
+ */
+function buildNotionApiError(statusCode, responseText, headers, attempts) {
+  let errorData = {};
+  
+  try {
+    errorData = JSON.parse(responseText) || {};
+  } catch (parseError) {
+    // Gateway errors (502/504) often return HTML instead of JSON
+  }
+  
+  return new NotionApiError(errorData.message || `Notion API request failed (Status: ${statusCode})`, {
+    status: statusCode,
+    code: errorData.code || (statusCode === 429 ? "rate_limited" : "http_" + statusCode),
+    requestId: errorData.request_id || "",
+    retryAfterMs: parseRetryAfterHeader(headers),
+    attempts: attempts
+  });
+}
+
+/**
+ * Read the Retry-After header (seconds) from a response
+ * @param {Object} headers - Response headers
+ * @returns {number} Delay in milliseconds, or 0 if absent
+ */
+function parseRetryAfterHeader(headers) {
+  if (!headers) return 0;
+  
+  const headerName = Object.keys(headers).find(name => name.toLowerCase() === "retry-after");
+  const seconds = headerName ? parseFloat(headers[headerName]) : NaN;
+  
+  return isNaN(seconds) || seconds < 0 ? 0 : Math.ceil(seconds * 1000);
+}
+
+/**
+ * Calculate the delay before the next retry
+ * @param {number} attempt - Zero-based attempt number that just failed
+ * @param {number} retryAfterMs - Delay requested by Notion, if any
+ * @returns {number} Delay in milliseconds
+ */
+function getNotionRetryDelay(attempt, retryAfterMs) {
+  if (retryAfterMs > 0) {
+    return retryAfterMs;
+  }
+  
+  // Exponential backoff with equal jitter: half fixed, half random
+  const ceiling = Math.min(NOTION_RETRY_CONFIG.maxDelayMs, NOTION_RETRY_CONFIG.baseDelayMs * Math.pow(2, attempt));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Wait until the user's request budget allows another Notion call.
+ * Counts are kept per time window in the user cache, so concurrent
+ * executions for the same user share the budget (best effort, not atomic).
+ */
+function acquireNotionRequestSlot() {
+  const cache = CacheService.getUserCache();
+  
+  while (true) {
+    const now = Date.now();
+    const windowKey = "G2N_RATE_" + Math.floor(now / NOTION_RATE_LIMIT.windowMs);
+    const used = parseInt(cache.get(windowKey) || "0", 10);
+    
+    if (used < NOTION_RATE_LIMIT.requestsPerWindow) {
+      cache.put(windowKey, String(used + 1), 10);
+      return;
+    }
+    
+    Utilities.sleep(NOTION_RATE_LIMIT.windowMs - (now % NOTION_RATE_LIMIT.windowMs));
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Notion error taxonomy for Gmail to Notion integration
+ * @version 2.0.0
+ * @description Maps Notion API error codes to user-facing categories with remediation text
+ */
+
+/**
+ * User-facing error categories
+ * @type {Object<string, {title: string, remediation: string}>}
+ */
+const NOTION_ERROR_CATEGORIES = {
+  unauthorized: {
+    title: "Notion rejected the connection",
+    remediation: "The API key is invalid, was revoked, or lacks the capability needed to create pages. Update the key in Settings or sign in with Notion again."
+  },
+  object_not_found: {
+    title: "Database not shared with the integration",
+    remediation: "In Notion, open the database, click ••• → Connections and add your integration. Then try again, or select a different database."
+  },
+  validation_error: {
+    title: "Notion did not accept the page",
+    remediation: "A mapped property no longer matches the database. Open the mapping, check its type and options, and save it again."
+  },
+  rate_limited: {
+    title: "Notion is busy",
+    remediation: "Too many requests were sent to Notion in a short time. Wait a few seconds and try again."
+  },
+  conflict_error: {
+    title: "The page changed while saving",
+    remediation: "Another change to the same data happened at the same time. Try again."
+  },
+  service_unavailable: {
+    title: "Notion could not be reached",
+    remediation: "Notion or the network is temporarily unavailable. Try again in a minute."
+  },
+  unknown: {
+    title: "Could not save to Notion",
+    remediation: "Run the connection test from Settings to find the cause."
+  }
+};
+
+/**
+ * Notion error codes grouped under each category
+ * @type {Object<string, string>}
+ */
+const NOTION_ERROR_CODE_CATEGORIES = {
+  unauthorized: "unauthorized",
+  restricted_resource: "unauthorized",
+  object_not_found: "object_not_found",
+  validation_error: "validation_error",
+  invalid_request: "validation_error",
+  invalid_json: "validation_error",
+  rate_limited: "rate_limited",
+  conflict_error: "conflict_error",
+  internal_server_error: "service_unavailable",
+  service_unavailable: "service_unavailable",
+  database_connection_unavailable: "service_unavailable",
+  gateway_timeout: "service_unavailable",
+  network_error: "service_unavailable"
+};
+
+/**
+ * Classified Notion error
+ * @typedef {Object} NotionErrorInfo
+ * @property {string} category - Key of NOTION_ERROR_CATEGORIES
+ * @property {string} title - Short headline
+ * @property {string} remediation - What the user can do about it
+ * @property {string} detail - Original Notion message
+ * @property {string} code - Original Notion error code
+ * @property {string} requestId - Notion request ID, useful for support
+ * @property {string} propertyName - Mapped property that caused a validation error, if known
+ * @property {string} propertyId - ID of that property, if known
+ */
+
+/**
+ * Classify an error from a Notion call
+ * @param {Error|NotionApiError} error - Error thrown by notionRequest
+ * @param {Object} [mappings] - Saved mappings, used to identify the property behind a validation error
+ * @param {Array<{id: string, name: string}>} [schemaProperties] - Database properties (defaults to the cached schema)
+ * @returns {NotionErrorInfo} Classified error
+ */
+function classifyNotionError(error, mappings, schemaProperties) {
+  const code = error.code || "";
+  let category = NOTION_ERROR_CODE_CATEGORIES[code];
+  
+  if (!category) {
+    category = error.status >= 500 ? "service_unavailable" : "unknown";
+  }
+  
+  const info = {
+    category: category,
+    title: NOTION_ERROR_CATEGORIES[category].title,
+    remediation: NOTION_ERROR_CATEGORIES[category].remediation,
+    detail: error.message || "",
+    code: code,
+    requestId: error.requestId || "",
+    propertyName: "",
+    propertyId: ""
+  };
+  
+  if (category === "validation_error") {
+    const property = findPropertyInValidationMessage(info.detail, mappings || getMappings(),
+      schemaProperties || getValidationSchemaProperties());
+    
+    if (property) {
+      info.propertyName = property.name;
+      info.propertyId = property.id;
+      info.title = `Notion did not accept "${property.name}"`;
+      info.remediation = `The mapping for "${property.name}" no longer matches the database. Open the mapping, check its type and options, and save it again.`;
+    }
+  }
+  
+  console.log(`Classified Notion error ${code || error.status} as ${category}`, info.propertyName);
+  return info;
+}
+
+/**
+ * Get the properties of the selected database, for naming the property behind a validation error
+ * @returns {Array<Object>} Schema properties, or an empty list if the schema cannot be read
+ */
+function getValidationSchemaProperties() {
+  const config = getConfig();
+  if (!config.apiKey || !config.databaseId) {
+    return [];
+  }
+  
+  const schemaResult = getCachedDatabaseSchema(config.databaseId, config.apiKey, config.dataSourceId);
+  return schemaResult && schemaResult.success ? schemaResult.database.properties : [];
+}
+
+/**
+ * Find the database property named in a Notion validation message
+ * @param {string} message - Notion error message, e.g. "body.properties.Status.select.name should be..."
+ * @param {Object} mappings - Saved mappings keyed by property ID
+ * @param {Array<{id: string, name: string}>} schemaProperties - Database properties
+ * @returns {{id: string, name: string}|null} Matching property, or null if none in the schema could be identified
+ */
+function findPropertyInValidationMessage(message, mappings, schemaProperties) {
+  const patterns = [
+    /body\.properties\.([^.\s]+)\./,
+    /^(.+?) is not a property that exists/,
+    /^(.+?) is expected to be /,
+    /Could not find property with name or id: (.+?)\.?$/
+  ];
+  
+  for (const pattern of patterns) {
+    const match = message.match(pattern);
+    if (!match) continue;
+    
+    const reference = match[1].trim();
+    let decoded = reference;
+    try {
+      decoded = decodeURIComponent(reference);
+    } catch (error) {
+      // Not URI encoded
+    }
+    
+    // Pages are created with property IDs as keys, but messages may also quote the name
+    const entry = Object.entries(mappings || {}).find(([propertyId, mapping]) =>
+      propertyId === reference ||
+      propertyId === decoded ||
+      mapping.propertyId === reference ||
+      mapping.notionPropertyName === reference ||
+      mapping.notionPropertyName === decoded
+    );
+    
+    const references = entry ? [entry[0], entry[1].notionPropertyName] : [reference, decoded];
+    const property = (schemaProperties || []).find(candidate =>
+      references.includes(candidate.id) || references.includes(candidate.name));
+    
+    if (property) {
+      return { id: property.id, name: property.name };
+    }
+  }
+  
+  return null;
+}
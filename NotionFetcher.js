@@ -8,44 +8,50 @@
  * Fetch database schema from Notion API
  * @param {string} databaseId - Notion database ID
  * @param {string} apiKey - Notion API key
+ * @param {string} [dataSourceId] - Data source to read the schema from (defaults to the first one)
  * @returns {Object} Response object with success status and data
  */
-function fetchNotionDatabaseSchema(databaseId, apiKey) {
+function fetchNotionDatabaseSchema(databaseId, apiKey, dataSourceId) {
   if (!databaseId || !apiKey) {
     throw new Error("Missing database ID or API key");
   }
   
   try {
-    const url = `https://api.notion.com/v1/databases/${databaseId}`;
-    const options = {
-      method: "GET",
-      headers: {
-        "Authorization": `Bearer ${apiKey}`,
-        "Notion-Version": "2022-06-28",
-        "Content-Type": "application/json"
-      },
-      muteHttpExceptions: true
+    const data = notionRequest(`/databases/${databaseId}`, { apiKey: apiKey });
+    const database = {
+      id: data.id,
+      title: data.title[0]?.plain_text || "Untitled",
+      url: data.url,
+      lastEditedTime: data.last_edited_time,
+      dataSourceId: "",
+      dataSources: []
     };
     
-    const response = UrlFetchApp.fetch(url, options);
-    const statusCode = response.getResponseCode();
-    const responseText = response.getContentText();
-    
-    if (statusCode !== 200) {
-      const errorData = JSON.parse(responseText);
-      throw new Error(errorData.message || "Failed to fetch database");
+    if (usesNotionDataSources()) {
+      // Newer API: the database is a container, each data source has its own schema
+      database.dataSources = (data.data_sources || []).map(source => ({
+        id: source.id,
+        name: source.name || "Untitled Source"
+      }));
+      
+      const selectedSource = database.dataSources.find(source => source.id === dataSourceId) || database.dataSources[0];
+      if (!selectedSource) {
+        throw new Error("Database has no data sources");
+      }
+      
+      database.dataSourceId = selectedSource.id;
+      
+      // Property edits change the data source, not the database, so its timestamp is the one that tracks the schema
+      const dataSource = notionRequest(`/data_sources/${selectedSource.id}`, { apiKey: apiKey });
+      database.lastEditedTime = dataSource.last_edited_time || database.lastEditedTime;
+      database.properties = processDatabaseProperties(dataSource.properties);
+    } else {
+      database.properties = processDatabaseProperties(data.properties);
     }
     
-    const data = JSON.parse(responseText);
-    
     return {
       success: true,
-      database: {
-        id: data.id,
-        title: data.title[0]?.plain_text || "Untitled",
-        properties: processDatabaseProperties(data.properties),
-        url: data.url
-      }
+      database: database
     };
     
   } catch (error) {
@@ -53,45 +59,34 @@ function fetchNotionDatabaseSchema(databaseId, apiKey) {
     return {
       success: false,
       error: error.message,
+      errorCode: error.code || "",
       database: null
     };
   }
 }
 
 /**
- * Fetch Notion workspace users
+ * Fetch Notion workspace users, following pagination up to the safety cap
+ * @param {string} [apiKey] - Notion API key (defaults to the configured key)
  * @returns {Array<{id: string, name: string, email: string}>} Array of Notion users
  */
-function fetchNotionWorkspaceUsers() {
+function fetchNotionWorkspaceUsers(apiKey) {
   try {
-    const config = getConfig();
+    apiKey = apiKey || getConfig().apiKey;
     
-    if (!config.apiKey) {
+    if (!apiKey) {
       return [];
     }
     
-    const options = {
-      method: "GET",
-      headers: {
-        "Authorization": `Bearer ${config.apiKey}`,
-        "Notion-Version": "2022-06-28"
-      },
-      muteHttpExceptions: true
-    };
-    
-    const response = UrlFetchApp.fetch("https://api.notion.com/v1/users", options);
+    const data = notionPaginate("/users", { apiKey: apiKey });
     
-    if (response.getResponseCode() === 200) {
-      const data = JSON.parse(response.getContentText());
-      
-      return (data.results || [])
-        .filter(user => user.type === "person")
-        .map(user => ({
-          id: user.id,
-          name: user.name || "Unknown User",
-          email: user.person?.email || ""
-        }));
-    }
+    return data.results
+      .filter(user => user.type === "person")
+      .map(user => ({
+        id: user.id,
+        name: user.name || "Unknown User",
+        email: user.person?.email || ""
+      }));
     
   } catch (error) {
     console.error("Error fetching Notion users:", error);
@@ -426,7 +421,7 @@ function testDatabaseSchema() {
   }
   
   try {
-    const result = fetchNotionDatabaseSchema(config.databaseId, config.apiKey);
+    const result = fetchNotionDatabaseSchema(config.databaseId, config.apiKey, config.dataSourceId);
     
     if (result.success) {
       const database = result.database;
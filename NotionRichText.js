@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Limit-aware rich text building for Notion
+ * @version 2.0.0
+ * @description Splits text into rich_text elements within Notion's limits without breaking characters apart
+ */
+
+/**
+ * Notion limits for rich text arrays
+ * @type {{maxContentLength: number, maxElements: number}}
+ */
+const NOTION_TEXT_LIMITS = {
+  maxContentLength: 2000,
+  maxElements: 100
+};
+
+/**
+ * What to do with text that does not fit in a property
+ * @type {Array<{label: string, value: string}>}
+ */
+const TEXT_OVERFLOW_POLICIES = [
+  { label: "Truncate with an ellipsis", value: "truncate" },
+  { label: "Continue in page content", value: "page_blocks" }
+];
+
+/**
+ * Overflow collected while formatting properties in this execution
+ * @type {Array<{propertyName: string, text: string}>}
+ */
+const TEXT_OVERFLOW_SINK = [];
+
+/**
+ * Get the configured overflow policy
+ * @returns {string} "truncate" or "page_blocks"
+ */
+function getTextOverflowPolicy() {
+  return PropertiesService.getUserProperties().getProperty("G2N_TEXT_OVERFLOW") || "truncate";
+}
+
+/**
+ * Build a rich_text array for a property or block
+ * @param {string} text - Plain text
+ * @param {Object} [options] - Build options
+ * @param {number} [options.maxElements] - Maximum number of elements
+ * @param {string} [options.overflow] - "truncate" or "page_blocks" (defaults to the configured policy)
+ * @param {Object} [options.annotations] - Annotations applied to every element
+ * @returns {{richText: Array<Object>, overflowText: string}} Elements, and the text left over when the policy is page_blocks
+ */
+function buildNotionRichText(text, options = {}) {
+  const maxElements = options.maxElements || NOTION_TEXT_LIMITS.maxElements;
+  const overflow = options.overflow || getTextOverflowPolicy();
+  const richText = [];
+  let offset = 0;
+  
+  text = String(text || "");
+  
+  while (offset < text.length && richText.length < maxElements) {
+    const end = findTextBreak(text, offset, NOTION_TEXT_LIMITS.maxContentLength);
+    richText.push(buildTextElement(text.substring(offset, end), options.annotations));
+    offset = end;
+  }
+  
+  if (offset >= text.length) {
+    return { richText: richText, overflowText: "" };
+  }
+  
+  if (overflow === "page_blocks") {
+    return { richText: richText, overflowText: text.substring(offset) };
+  }
+  
+  // Make room for the ellipsis in the last element
+  const last = richText[richText.length - 1].text;
+  const cut = findTextBreak(last.content, 0, last.content.length - 1);
+  last.content = last.content.substring(0, cut) + "…";
+  
+  console.log(`Truncated text at ${offset} of ${text.length} characters`);
+  return { richText: richText, overflowText: "" };
+}
+
+/**
+ * Build paragraph blocks holding the whole text, starting a new paragraph
+ * whenever one reaches the element limit
+ * @param {string} text - Plain text
+ * @returns {Array<Object>} Paragraph blocks
+ */
+function buildNotionParagraphBlocks(text) {
+  const blocks = [];
+  let remaining = String(text || "");
+  
+  while (remaining.length > 0) {
+    const built = buildNotionRichText(remaining, { overflow: "page_blocks" });
+    blocks.push({
+      object: "block",
+      type: "paragraph",
+      paragraph: { rich_text: built.richText }
+    });
+    remaining = built.overflowText;
+  }
+  
+  return blocks;
+}
+
+/**
+ * Record text that did not fit in a property, to be added to the page body
+ * @param {string} propertyName - Property the text belongs to
+ * @param {string} text - Overflowing text
+ */
+function addTextOverflow(propertyName, text) {
+  console.log(`Moving ${text.length} overflowing characters of "${propertyName}" to page content`);
+  TEXT_OVERFLOW_SINK.push({ propertyName: propertyName, text: text });
+}
+
+/**
+ * Take the overflow collected so far as page blocks, and empty the sink
+ * @returns {Array<Object>} Heading and paragraph blocks for each overflowing property
+ */
+function takeTextOverflowBlocks() {
+  const blocks = [];
+  
+  TEXT_OVERFLOW_SINK.splice(0).forEach(entry => {
+    blocks.push({
+      object: "block",
+      type: "heading_3",
+      heading_3: {
+        rich_text: [buildTextElement(`${entry.propertyName} (continued)`)]
+      }
+    });
+    blocks.push(...buildNotionParagraphBlocks(entry.text));
+  });
+  
+  return blocks;
+}
+
+/**
+ * Discard any collected overflow, e.g. before formatting a new page
+ */
+function resetTextOverflow() {
+  TEXT_OVERFLOW_SINK.splice(0);
+}
+
+/**
+ * Build a single text element
+ * @param {string} content - Text content (at most 2000 characters)
+ * @param {Object} [annotations] - Notion annotations
+ * @returns {Object} Rich text element
+ */
+function buildTextElement(content, annotations) {
+  const element = {
+    type: "text",
+    text: { content: content }
+  };
+  
+  if (annotations) {
+    element.annotations = annotations;
+  }
+  
+  return element;
+}
+
+/**
+ * Find where to end a chunk of text so that it is at most maxLength long
+ * and does not split a surrogate pair or grapheme cluster
+ * @param {string} text - Full text
+ * @param {number} start - Chunk start index
+ * @param {number} maxLength - Maximum chunk length in UTF-16 code units
+ * @returns {number} Chunk end index (exclusive)
+ */
+function findTextBreak(text, start, maxLength) {
+  let end = start + maxLength;
+  
+  if (end >= text.length) {
+    return text.length;
+  }
+  
+  if (typeof Intl !== "undefined" && Intl.Segmenter) {
+    // Segment only a window around the limit; clusters are short
+    const windowStart = Math.max(start, end - 64);
+    const segments = new Intl.Segmenter(undefined, { granularity: "grapheme" })
+      .segment(text.substring(windowStart, Math.min(text.length, end + 64)));
+    let safeEnd = windowStart;
+    
+    for (const segment of segments) {
+      const segmentEnd = windowStart + segment.index + segment.segment.length;
+      if (segmentEnd > end) break;
+      safeEnd = segmentEnd;
+    }
+    
+    // A single cluster longer than the window is split rather than looping forever
+    return safeEnd > start ? safeEnd : end;
+  }
+  
+  while (end > start + 1 && isInsideGraphemeCluster(text, end)) {
+    end--;
+  }
+  
+  return end;
+}
+
+/**
+ * Check whether a break before the given index would split a character apart
+ * (fallback for runtimes without Intl.Segmenter)
+ * @param {string} text - Full text
+ * @param {number} index - Break position
+ * @returns {boolean} True if the break is unsafe
+ */
+function isInsideGraphemeCluster(text, index) {
+  const code = text.charCodeAt(index);
+  const previous = text.charCodeAt(index - 1);
+  
+  // Low surrogate after a high surrogate
+  if (code >= 0xDC00 && code <= 0xDFFF && previous >= 0xD800 && previous <= 0xDBFF) {
+    return true;
+  }
+  
+  // Zero-width joiner sequences
+  if (code === 0x200D || previous === 0x200D) {
+    return true;
+  }
+  
+  // Combining marks, variation selectors, emoji modifiers and tag characters attach to what precedes them
+  const nextChar = String.fromCodePoint(text.codePointAt(index));
+  if (/[\p{M}\u{FE00}-\u{FE0F}\u{1F3FB}-\u{1F3FF}\u{E0020}-\u{E007F}]/u.test(nextChar)) {
+    return true;
+  }
+  
+  // Regional indicator flags come in pairs
+  if (/\p{Regional_Indicator}/u.test(nextChar)) {
+    let count = 0;
+    for (let i = index - 2; i >= 0 && /\p{Regional_Indicator}/u.test(text.substr(i, 2)); i -= 2) {
+      count++;
+    }
+    return count % 2 === 1;
+  }
+  
+  return false;
+}
@@ -0,0 +1,353 @@
+/**
+ * @fileoverview Page body templates
+ * @version 2.0.0
+ * @description User-defined page body layouts built from block definitions with placeholders and conditions
+ */
+
+/**
+ * Block types a template can use. "section" inserts a built-in page content
+ * section (see PAGE_CONTENT_SECTIONS) other than the template itself.
+ * @type {Array<string>}
+ */
+const PAGE_TEMPLATE_BLOCK_TYPES = [
+  "paragraph", "heading_1", "heading_2", "heading_3", "callout", "quote",
+  "bulleted_list_item", "numbered_list_item", "to_do", "toggle", "code", "divider", "section"
+];
+
+/**
+ * Block types that can hold nested children in a template
+ * @type {Array<string>}
+ */
+const PAGE_TEMPLATE_PARENT_TYPES = [
+  "paragraph", "bulleted_list_item", "numbered_list_item", "to_do", "toggle", "quote"
+];
+
+/**
+ * Example template shown in the editor
+ * @type {Array<Object>}
+ */
+const EXAMPLE_PAGE_TEMPLATE = [
+  { type: "callout", icon: "📧", text: "{{fromName}} <{{fromAddress}}> · {{date|yyyy-MM-dd HH:mm}}" },
+  { type: "heading_2", text: "{{subject}}" },
+  { if: "cc", blocks: [{ type: "paragraph", text: "Cc: {{cc}}", color: "gray" }] },
+  { type: "paragraph", text: "Open in Gmail", link: "{{gmailLinkUrl}}" },
+  { type: "divider" },
+  { type: "paragraph", text: "{{body}}" },
+  { if: "hasAttachments", blocks: [{ type: "section", section: "attachments" }] },
+  { if: "labels", blocks: [{ type: "paragraph", text: "Labels: {{labels}}", italic: true }] }
+];
+
+/**
+ * Get the saved page template
+ * @returns {Array<Object>|null} Template blocks, or null if none is saved
+ */
+function getPageTemplate() {
+  const templateJson = PropertiesService.getUserProperties().getProperty("G2N_PAGE_TEMPLATE") || "";
+  
+  if (!templateJson) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(templateJson);
+  } catch (error) {
+    console.error("Error parsing page template:", error);
+    return null;
+  }
+}
+
+/**
+ * Check a template for mistakes
+ * @param {*} template - Parsed template
+ * @returns {Array<string>} Problems found (empty if the template is valid)
+ */
+function validatePageTemplate(template) {
+  const errors = [];
+  
+  const check = (blocks, path) => {
+    if (!Array.isArray(blocks)) {
+      errors.push(`${path} must be a list of blocks`);
+      return;
+    }
+    
+    blocks.forEach((block, index) => {
+      const where = `${path}[${index}]`;
+      
+      if (!block || typeof block !== "object") {
+        errors.push(`${where} must be an object`);
+      } else if (block.if !== undefined) {
+        if (typeof block.if !== "string" || !block.if.replace(/^!/, "")) {
+          errors.push(`${where}: "if" must name an email field, e.g. "hasAttachments" or "!cc"`);
+        }
+        check(block.blocks, where + ".blocks");
+        if (block.else !== undefined) check(block.else, where + ".else");
+      } else if (!PAGE_TEMPLATE_BLOCK_TYPES.includes(block.type)) {
+        errors.push(`${where}: unknown type "${block.type}"`);
+      } else if (block.type === "section" && (block.section === "template" || !PAGE_CONTENT_SECTIONS.some(section => section.value === block.section))) {
+        errors.push(`${where}: unknown section "${block.section}"`);
+      } else if (block.children !== undefined) {
+        if (!PAGE_TEMPLATE_PARENT_TYPES.includes(block.type)) {
+          errors.push(`${where}: "${block.type}" blocks cannot have children`);
+        } else {
+          check(block.children, where + ".children");
+        }
+      }
+    });
+  };
+  
+  check(template, "template");
+  return errors;
+}
+
+/**
+ * Render a template into Notion blocks for an email
+ * @param {Array<Object>} template - Template blocks
+ * @param {Object} emailData - Extracted email data
+ * @param {Object} [options] - Section options passed to buildPageContentSectionBlocks
+ * @returns {Array<Object>} Notion blocks
+ */
+function renderPageTemplate(template, emailData, options = {}) {
+  const sectionOptions = Object.assign({ bodyMode: getBodyContentMode(), summaryLayout: "callout" }, options);
+  const blocks = [];
+  
+  (template || []).forEach(definition => {
+    if (definition.if !== undefined) {
+      const branch = evaluateTemplateCondition(definition.if, emailData) ? definition.blocks : definition.else;
+      blocks.push(...renderPageTemplate(branch || [], emailData, sectionOptions));
+      return;
+    }
+    
+    if (definition.type === "section") {
+      blocks.push(...buildPageContentSectionBlocks(definition.section, emailData, sectionOptions));
+      return;
+    }
+    
+    if (definition.type === "divider") {
+      blocks.push({ object: "block", type: "divider", divider: {} });
+      return;
+    }
+    
+    // A block holding only {{body}} stands for the whole body, in the configured format
+    if (/^\s*\{\{\s*body\s*\}\}\s*$/.test(definition.text || "")) {
+      blocks.push(...buildEmailBodyBlocks(emailData, sectionOptions.bodyMode));
+      return;
+    }
+    
+    blocks.push(...buildTemplateTextBlocks(definition, emailData, sectionOptions));
+  });
+  
+  return blocks;
+}
+
+/**
+ * Build the blocks for a text block definition. Paragraphs too long for one
+ * block continue in further paragraphs.
+ * @param {Object} definition - Block definition
+ * @param {Object} emailData - Extracted email data
+ * @param {Object} sectionOptions - Section options for nested sections
+ * @returns {Array<Object>} Notion blocks
+ */
+function buildTemplateTextBlocks(definition, emailData, sectionOptions) {
+  const type = definition.type;
+  const text = renderTemplateText(definition.text || "", emailData);
+  const link = definition.link ? renderTemplateText(definition.link, emailData).trim() : "";
+  const annotations = {};
+  
+  ["bold", "italic", "strikethrough", "underline", "code"].forEach(name => {
+    if (definition[name]) annotations[name] = true;
+  });
+  if (definition.color) annotations.color = definition.color;
+  
+  const blocks = [];
+  let remaining = text;
+  
+  do {
+    const built = buildNotionRichText(remaining, {
+      overflow: type === "paragraph" || type === "code" ? "page_blocks" : "truncate",
+      annotations: Object.keys(annotations).length > 0 ? annotations : undefined
+    });
+    
+    if (/^(https?:|mailto:)/i.test(link)) {
+      built.richText.forEach(element => {
+        element.text.link = { url: link };
+      });
+    }
+    
+    const content = { rich_text: built.richText };
+    
+    if (type === "callout") {
+      content.icon = { type: "emoji", emoji: definition.icon || "💡" };
+    } else if (type === "code") {
+      content.language = definition.language || "plain text";
+    } else if (type === "to_do") {
+      content.checked = !!definition.checked;
+    }
+    
+    blocks.push({ object: "block", type: type, [type]: content });
+    remaining = built.overflowText;
+  } while (remaining);
+  
+  if (definition.children) {
+    const children = renderPageTemplate(definition.children, emailData, sectionOptions);
+    if (children.length > 0) {
+      blocks[0][type].children = children;
+    }
+  }
+  
+  return blocks;
+}
+
+/**
+ * Replace placeholders in template text.
+ * {{field}} inserts an email field, {{field|format}} formats a date with a
+ * Utilities.formatDate pattern, and {{header:Name}} inserts any header.
+ * @param {string} text - Template text
+ * @param {Object} emailData - Extracted email data
+ * @returns {string} Text with placeholders replaced (unknown fields become empty)
+ */
+function renderTemplateText(text, emailData) {
+  return String(text).replace(/\{\{\s*([^}|]+?)\s*(?:\|\s*([^}]*?)\s*)?\}\}/g, (match, name, format) => {
+    if (name.toLowerCase().startsWith("header:")) {
+      return getEmailHeaderValue(emailData, name.substring(7));
+    }
+    
+    const value = emailData[name];
+    
+    if (value instanceof Date || (format && (name === "date" || name === "internalDate"))) {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) return "";
+      return Utilities.formatDate(date, Session.getScriptTimeZone(), format || "yyyy-MM-dd HH:mm");
+    }
+    
+    if (Array.isArray(value)) {
+      return value.map(item => typeof item === "object" ? item.name || "" : item).join(", ");
+    }
+    
+    return value === undefined || value === null ? "" : String(value);
+  });
+}
+
+/**
+ * Evaluate a template condition such as "hasAttachments" or "!cc"
+ * @param {string} condition - Field name, optionally negated with "!"
+ * @param {Object} emailData - Extracted email data
+ * @returns {boolean} Whether the field is set (non-empty lists and text, true flags, non-zero numbers)
+ */
+function evaluateTemplateCondition(condition, emailData) {
+  const negated = condition.trim().startsWith("!");
+  const value = emailData[condition.trim().replace(/^!/, "").trim()];
+  const isSet = Array.isArray(value) ? value.length > 0 : !!value;
+  
+  return negated ? !isSet : isSet;
+}
+
+/**
+ * Show the template editor
+ * @returns {CardService.ActionResponse} Action response
+ */
+function showPageTemplateEditor() {
+  return CardService.newActionResponseBuilder()
+    .setNavigation(
+      CardService.newNavigation()
+        .pushCard(buildPageTemplateCard())
+    )
+    .build();
+}
+
+/**
+ * Save the template from the editor
+ * @param {Object} event - Event object with form inputs
+ * @returns {CardService.ActionResponse} Action response
+ */
+function savePageTemplate(event) {
+  const templateJson = (event?.formInput?.page_template || "").trim();
+  
+  if (!templateJson) {
+    return clearPageTemplate();
+  }
+  
+  let template;
+  try {
+    template = JSON.parse(templateJson);
+  } catch (error) {
+    return buildTemplateNotification("❌ The template is not valid JSON: " + error.message);
+  }
+  
+  const errors = validatePageTemplate(template);
+  if (errors.length > 0) {
+    return buildTemplateNotification("❌ " + errors.slice(0, 3).join("; "));
+  }
+  
+  // Store compactly; user properties are limited to 9 KB per value, counted in UTF-8 bytes
+  const compact = JSON.stringify(template);
+  const size = getUtf8ByteLength(compact);
+  if (size > 9000) {
+    return buildTemplateNotification("❌ The template is too long to save (" + size + " of 9000 bytes)");
+  }
+  
+  try {
+    PropertiesService.getUserProperties().setProperty("G2N_PAGE_TEMPLATE", compact);
+  } catch (error) {
+    console.error("Error saving page template:", error);
+    return buildTemplateNotification("❌ Could not save the template: " + error.message);
+  }
+  console.log(`Saved page template with ${template.length} blocks`);
+  
+  return CardService.newActionResponseBuilder()
+    .setNotification(
+      CardService.newNotification()
+        .setText("✅ Page template saved")
+    )
+    .setNavigation(
+      CardService.newNavigation()
+        .updateCard(buildPageTemplateCard())
+    )
+    .build();
+}
+
+/**
+ * Put the example template into the editor (not saved until the user saves it)
+ * @returns {CardService.ActionResponse} Action response
+ */
+function loadExamplePageTemplate() {
+  return CardService.newActionResponseBuilder()
+    .setNavigation(
+      CardService.newNavigation()
+        .updateCard(buildPageTemplateCard(JSON.stringify(EXAMPLE_PAGE_TEMPLATE, null, 2)))
+    )
+    .build();
+}
+
+/**
+ * Delete the saved template
+ * @returns {CardService.ActionResponse} Action response
+ */
+function clearPageTemplate() {
+  PropertiesService.getUserProperties().deleteProperty("G2N_PAGE_TEMPLATE");
+  console.log("Page template cleared");
+  
+  return CardService.newActionResponseBuilder()
+    .setNotification(
+      CardService.newNotification()
+        .setText("✅ Page template removed")
+    )
+    .setNavigation(
+      CardService.newNavigation()
+        .updateCard(buildPageTemplateCard())
+    )
+    .build();
+}
+
+/**
+ * Build a notification-only response for the template editor
+ * @param {string} message - Notification text
+ * @returns {CardService.ActionResponse} Action response
+ */
+function buildTemplateNotification(message) {
+  return CardService.newActionResponseBuilder()
+    .setNotification(
+      CardService.newNotification()
+        .setText(message)
+    )
+    .build();
+}
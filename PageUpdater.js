@@ -0,0 +1,472 @@
+/**
+ * @fileoverview Updating existing Notion pages from an email
+ * @version 2.0.0
+ * @description Finds a page in the selected database and updates its mapped properties or appends the email to it
+ */
+
+/**
+ * What happens to a mapped property when an email updates a page that already has a value
+ * @type {Array<{label: string, value: string}>}
+ */
+const PAGE_UPDATE_POLICIES = [
+  { label: "Fill only if empty", value: "fill_empty" },
+  { label: "Overwrite", value: "overwrite" },
+  { label: "Append to the existing value", value: "append" }
+];
+
+/**
+ * Update policy for mappings that have none, so that adding an email to a page
+ * does not rename it or replace values the user entered
+ * @type {string}
+ */
+const DEFAULT_PAGE_UPDATE_POLICY = "fill_empty";
+
+/**
+ * Property types whose values can be appended to
+ * @type {Array<string>}
+ */
+const APPENDABLE_PROPERTY_TYPES = ["title", "rich_text", "multi_select", "relation", "people"];
+
+/**
+ * Property types that GET /v1/pages/{id} cuts off at 25 items; their full
+ * value has to be read through the property item endpoint
+ * @type {Array<string>}
+ */
+const PAGINATED_PROPERTY_TYPES = ["title", "rich_text", "relation", "people"];
+
+/**
+ * Property types that can be searched when picking a page, with the filter condition used
+ * @type {Object<string, string>}
+ */
+const PAGE_SEARCH_CONDITIONS = {
+  title: "contains",
+  rich_text: "contains",
+  url: "contains",
+  email: "contains",
+  phone_number: "contains",
+  select: "equals",
+  multi_select: "contains"
+};
+
+/**
+ * Pages listed in search results
+ * @type {number}
+ */
+const PAGE_SEARCH_RESULTS = 10;
+
+/**
+ * Show the page search card
+ * @returns {CardService.ActionResponse} Action response
+ */
+function showExistingPageSearch() {
+  return CardService.newActionResponseBuilder()
+    .setNavigation(
+      CardService.newNavigation()
+        .pushCard(buildExistingPageSearchCard("", "", null))
+    )
+    .build();
+}
+
+/**
+ * Search the selected database and show the matching pages
+ * @param {Object} event - Event object with form inputs
+ * @returns {CardService.ActionResponse} Action response
+ */
+function searchExistingPages(event) {
+  var query = (event?.formInput?.page_search || "").trim();
+  var propertyId = event?.formInput?.page_search_property || "";
+  
+  try {
+    var pages = findExistingPages(query, propertyId);
+    
+    return CardService.newActionResponseBuilder()
+      .setNavigation(
+        CardService.newNavigation()
+          .updateCard(buildExistingPageSearchCard(query, propertyId, pages))
+      )
+      .build();
+  } catch (error) {
+    console.error("Error searching pages:", error);
+    return CardService.newActionResponseBuilder()
+      .setNotification(
+        CardService.newNotification()
+          .setText("❌ Search failed: " + error.message)
+      )
+      .build();
+  }
+}
+
+/**
+ * Get the database properties a page search can filter on: the title, then
+ * the other mapped properties of searchable types
+ * @returns {Array<{id: string, name: string, type: string}>} Searchable properties
+ */
+function getSearchablePageProperties() {
+  var config = getConfig();
+  var schemaResult = getCachedDatabaseSchema(config.databaseId, config.apiKey, config.dataSourceId);
+  if (!schemaResult || !schemaResult.success) {
+    return [];
+  }
+  
+  var mappings = getMappings();
+  
+  return schemaResult.database.properties
+    .filter(property => PAGE_SEARCH_CONDITIONS[property.type] &&
+      (property.type === "title" || (mappings[property.id] && mappings[property.id].enabled)))
+    .sort((a, b) => (b.type === "title") - (a.type === "title"));
+}
+
+/**
+ * Query the selected database for pages
+ * @param {string} query - Text to look for; empty lists the most recently edited pages
+ * @param {string} [propertyId] - Property to search (defaults to the title)
+ * @returns {Array<{id: string, url: string, title: string, lastEdited: string}>} Matching pages, most recently edited first
+ * @throws {NotionApiError} If the query fails
+ */
+function findExistingPages(query, propertyId) {
+  var config = getConfig();
+  var queryPath = config.dataSourceId && usesNotionDataSources()
+    ? `/data_sources/${config.dataSourceId}/query`
+    : `/databases/${config.databaseId}/query`;
+  var payload = {
+    sorts: [{ timestamp: "last_edited_time", direction: "descending" }],
+    page_size: PAGE_SEARCH_RESULTS
+  };
+  
+  if (query) {
+    var properties = getSearchablePageProperties();
+    var property = properties.find(candidate => candidate.id === propertyId) || properties[0];
+    if (!property) {
+      throw new Error("The database has no searchable property");
+    }
+    
+    payload.filter = {
+      property: property.id,
+      [property.type]: { [PAGE_SEARCH_CONDITIONS[property.type]]: query }
+    };
+  }
+  
+  var data = notionRequest(queryPath, {
+    method: "POST",
+    apiKey: config.apiKey,
+    payload: payload
+  });
+  
+  return (data.results || []).map(page => ({
+    id: page.id,
+    url: page.url,
+    title: getNotionPageTitle(page),
+    lastEdited: page.last_edited_time || ""
+  }));
+}
+
+/**
+ * Get the plain-text title of a page
+ * @param {Object} page - Page object from the Notion API
+ * @returns {string} Title, or "Untitled"
+ */
+function getNotionPageTitle(page) {
+  var titleProperty = Object.values(page.properties || {}).find(property => property.type === "title");
+  var title = titleProperty ? titleProperty.title.map(text => text.plain_text).join("") : "";
+  return title || "Untitled";
+}
+
+/**
+ * Show the update options for a chosen page
+ * @param {Object} event - Event object
+ * @param {Object} event.parameters - Action parameters (pageId, url, title)
+ * @returns {CardService.ActionResponse} Action response
+ */
+function chooseExistingPage(event) {
+  return CardService.newActionResponseBuilder()
+    .setNavigation(
+      CardService.newNavigation()
+        .pushCard(buildExistingPageUpdateCard(event.parameters))
+    )
+    .build();
+}
+
+/**
+ * Apply the current email to the chosen page
+ * @param {Object} event - Event object with Gmail data, form inputs and parameters (pageId, url)
+ * @returns {CardService.ActionResponse} Action response
+ */
+function applyEmailToExistingPage(event) {
+  var updateProperties = event?.formInput?.update_properties === "true";
+  var appendContent = event?.formInput?.append_content === "true";
+  
+  if (!updateProperties && !appendContent) {
+    return CardService.newActionResponseBuilder()
+      .setNotification(
+        CardService.newNotification()
+          .setText("⚠️ Choose what to do with the page")
+      )
+      .build();
+  }
+  
+  var result = updateExistingEmailPage(event, {
+    properties: updateProperties,
+    content: appendContent
+  });
+  var response = CardService.newActionResponseBuilder()
+    .setNotification(
+      CardService.newNotification()
+        .setText((result.success ? "✅ " : "❌ ") + result.message)
+    );
+  
+  if (result.success) {
+    response.setOpenLink(
+      CardService.newOpenLink()
+        .setUrl(result.url)
+    );
+  } else if (result.notionError) {
+    response.setNavigation(
+      CardService.newNavigation()
+        .pushCard(buildNotionErrorCard(result.notionError))
+    );
+  }
+  
+  return response.build();
+}
+
+/**
+ * Update a page from an email: its mapped properties, following each
+ * mapping's update policy, and/or the email appended as blocks
+ * @param {string} pageId - Notion page ID
+ * @param {Object} emailData - Extracted email data
+ * @param {Object} options - What to update
+ * @param {boolean} [options.properties] - Update the mapped properties
+ * @param {boolean} [options.content] - Append the email to the page content
+ * @returns {Object} Updated page object from the Notion API
+ * @throws {NotionApiError} If Notion rejects a request
+ */
+function updatePageFromEmail(pageId, emailData, options) {
+  var config = getConfig();
+  var mappings = getMappings();
+  var page = notionRequest(`/pages/${pageId}`, { apiKey: config.apiKey });
+  
+  resetTextOverflow();
+  
+  if (options.properties) {
+    // Handlers can be costly (the files handler uploads attachments to Drive), so run only those whose value is written
+    var writableMappings = getWritableUpdateMappings(mappings, page);
+    loadAppendedPropertyValues(page, writableMappings, config.apiKey);
+    var updates = buildPageUpdateProperties(applyMappings(emailData, writableMappings), writableMappings, page);
+    
+    if (Object.keys(updates).length > 0) {
+      page = notionRequest(`/pages/${pageId}`, {
+        method: "PATCH",
+        apiKey: config.apiKey,
+        payload: { properties: updates }
+      });
+    }
+    console.log(`Updated ${Object.keys(updates).length} properties on ${pageId}`);
+  }
+  
+  // Without appended content there is nowhere for overflow text to go
+  var overflowBlocks = takeTextOverflowBlocks();
+  
+  if (options.content) {
+    var pageContent = mappings[PAGE_CONTENT_PROPERTY.id];
+    var contentBlocks = pageContent
+      ? PropertyHandlers.page_content.processForNotion(pageContent, emailData)
+      : createEmailInfoBlocks(emailData);
+    
+    appendNotionBlockChildren(pageId, [
+      { object: "block", type: "divider", divider: {} },
+      buildContentHeading("📧 " + (emailData.subject || "(No Subject)"))
+    ].concat(contentBlocks, overflowBlocks), { apiKey: config.apiKey });
+    console.log(`Appended email to ${pageId}`);
+  }
+  
+  return page;
+}
+
+/**
+ * Drop the mappings whose update policy would discard the new value, that is
+ * "fill_empty" mappings of properties the page already has a value for
+ * @param {Object} mappings - Field mappings
+ * @param {Object} page - Current page object from the Notion API
+ * @returns {Object} Mappings to apply, keyed by property ID
+ */
+function getWritableUpdateMappings(mappings, page) {
+  var currentById = {};
+  Object.values(page.properties || {}).forEach(property => {
+    currentById[property.id] = property;
+  });
+  
+  var writable = {};
+  
+  Object.keys(mappings).forEach(propertyId => {
+    var mapping = mappings[propertyId];
+    var current = currentById[propertyId];
+    
+    if (getPageUpdatePolicy(mapping) === "fill_empty" && current && !isNotionPropertyEmpty(current)) {
+      return;
+    }
+    
+    writable[propertyId] = mapping;
+  });
+  
+  return writable;
+}
+
+/**
+ * Get the update policy of a mapping
+ * @param {Object} mapping - Field mapping
+ * @returns {string} One of the PAGE_UPDATE_POLICIES values
+ */
+function getPageUpdatePolicy(mapping) {
+  return (mapping && mapping.overwritePolicy) || DEFAULT_PAGE_UPDATE_POLICY;
+}
+
+/**
+ * Replace the possibly shortened values of properties using the "append"
+ * policy with their full values, so appending cannot drop existing items
+ * @param {Object} page - Page object from the Notion API (updated in place)
+ * @param {Object} mappings - Field mappings
+ * @param {string} apiKey - Notion API key
+ * @throws {Error} If a full value cannot be read
+ */
+function loadAppendedPropertyValues(page, mappings, apiKey) {
+  Object.keys(page.properties || {}).forEach(name => {
+    var property = page.properties[name];
+    var mapping = mappings[property.id];
+    
+    if (!mapping || !mapping.enabled || getPageUpdatePolicy(mapping) !== "append" ||
+        !PAGINATED_PROPERTY_TYPES.includes(property.type)) {
+      return;
+    }
+    
+    var fullValue = getFullNotionPropertyValue(page.id, property, apiKey);
+    if (!fullValue) {
+      throw new Error(`"${name}" has too many values to append to safely`);
+    }
+    
+    page.properties[name] = fullValue;
+  });
+}
+
+/**
+ * Read the full value of a paginated page property
+ * @param {string} pageId - Notion page ID
+ * @param {Object} property - Property value from the page object
+ * @param {string} apiKey - Notion API key
+ * @returns {Object|null} Property value in the page object shape with every item, or null if there are more items than can be read
+ * @throws {NotionApiError} If a request fails
+ */
+function getFullNotionPropertyValue(pageId, property, apiKey) {
+  // Property IDs in page objects are already URL-encoded
+  var list = notionPaginate(`/pages/${pageId}/properties/${property.id}`, { apiKey: apiKey });
+  
+  if (list.hasMore) {
+    return null;
+  }
+  
+  return {
+    id: property.id,
+    type: property.type,
+    [property.type]: list.results.map(item => item[property.type])
+  };
+}
+
+/**
+ * Combine new property values with a page's current ones according to each
+ * mapping's update policy
+ * @param {Object} newProperties - Properties from applyMappings, keyed by property ID
+ * @param {Object} mappings - Field mappings
+ * @param {Object} page - Current page object from the Notion API
+ * @returns {Object} Properties to send in the update, keyed by property ID
+ */
+function buildPageUpdateProperties(newProperties, mappings, page) {
+  var currentById = {};
+  Object.values(page.properties || {}).forEach(property => {
+    currentById[property.id] = property;
+  });
+  
+  var updates = {};
+  
+  Object.entries(newProperties).forEach(([propertyId, value]) => {
+    var policy = getPageUpdatePolicy(mappings[propertyId]);
+    var current = currentById[propertyId];
+    
+    if (!current || policy === "overwrite") {
+      updates[propertyId] = value;
+    } else if (policy === "fill_empty") {
+      if (isNotionPropertyEmpty(current)) {
+        updates[propertyId] = value;
+      }
+    } else if (policy === "append") {
+      updates[propertyId] = appendNotionPropertyValue(current, value);
+    }
+  });
+  
+  return updates;
+}
+
+/**
+ * Check whether a page property has no value
+ * @param {Object} property - Property value from a page object
+ * @returns {boolean} True if empty (unchecked checkboxes count as empty)
+ */
+function isNotionPropertyEmpty(property) {
+  var value = property[property.type];
+  
+  if (Array.isArray(value)) {
+    return value.length === 0;
+  }
+  
+  return value === null || value === undefined || value === "" || value === false;
+}
+
+/**
+ * Append a new property value to the current one. Text gets a new line,
+ * lists gain the new items they do not already have, and other types are overwritten.
+ * @param {Object} current - Current property value from the page
+ * @param {Object} incoming - New property value from applyMappings
+ * @returns {Object} Property value for the update
+ * @throws {Error} If the combined value is over Notion's limits
+ */
+function appendNotionPropertyValue(current, incoming) {
+  var type = current.type;
+  var existing = current[type] || [];
+  var added = incoming[type];
+  
+  if (!APPENDABLE_PROPERTY_TYPES.includes(type) || !Array.isArray(added)) {
+    return incoming;
+  }
+  
+  if (type === "title" || type === "rich_text") {
+    // Page responses carry plain_text and href, which updates do not accept
+    var kept = existing.map(element => {
+      var copy = Object.assign({}, element);
+      delete copy.plain_text;
+      delete copy.href;
+      return copy;
+    });
+    var separator = kept.length > 0 && added.length > 0 ? [buildTextElement("\n")] : [];
+    var room = NOTION_TEXT_LIMITS.maxElements - kept.length - separator.length;
+    if (room <= 0 && added.length > 0) {
+      throw new Error("The existing text is too long to append to");
+    }
+    
+    return { [type]: kept.concat(separator, added.slice(0, Math.max(room, 0))) };
+  }
+  
+  // Options are matched by name, users and related pages by ID
+  var key = type === "multi_select" ? item => String(item.name).toLowerCase() : item => item.id;
+  var merged = existing.map(item => type === "multi_select" ? { name: item.name } : { id: item.id });
+  
+  added.forEach(item => {
+    if (!merged.some(kept => key(kept) === key(item))) {
+      merged.push(item);
+    }
+  });
+  
+  // Updates accept at most 100 options, users or related pages
+  if (merged.length > 100) {
+    throw new Error(`Appending would leave more than 100 items in a ${type} property`);
+  }
+  
+  return { [type]: merged };
+}
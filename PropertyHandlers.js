@@ -4,6 +4,33 @@
  * @description Handles configuration, UI building, and data processing for each property type
  */
 
+/**
+ * Sections that can make up the page body
+ * @type {Array<{label: string, value: string}>}
+ */
+const PAGE_CONTENT_SECTIONS = [
+  { label: "📧 Header summary (From, Date, To, Cc)", value: "header_summary" },
+  { label: "📄 Email body", value: "body" },
+  { label: "📎 Attachment list", value: "attachments" },
+  { label: "🧾 Raw headers", value: "raw_headers" },
+  { label: "📐 Custom page template", value: "template" }
+];
+
+/**
+ * Layouts for the header summary section
+ * @type {Array<{label: string, value: string}>}
+ */
+const EMAIL_SUMMARY_LAYOUTS = [
+  { label: "Callout", value: "callout" },
+  { label: "Table", value: "table" }
+];
+
+/**
+ * Pseudo property the page content mapping is stored under in G2N_MAPPINGS
+ * @type {{id: string, name: string, type: string}}
+ */
+const PAGE_CONTENT_PROPERTY = { id: "page_content", name: "Page Content", type: "page_content" };
+
 /**
  * Main property handlers object
  * @type {Object}
@@ -27,6 +54,7 @@ const PropertyHandlers = {
         notionPropertyName: property.name,
         enabled: isEnabled,
         emailField: formInput["emailField_" + property.id] || getRecommendedEmailField(property.type) || "subject",
+        headerName: (formInput["headerName_" + property.id] || "").trim(),
         transformation: formInput["transformation_" + property.id] || "none",
         isStaticOption: false,
         isRequired: property.isRequired
@@ -81,6 +109,17 @@ const PropertyHandlers = {
       
       widgets.push(emailFieldDropdown);
       
+      // The header name input appears once Custom Header has been saved as the source
+      if (currentConfig.emailField === "customHeader") {
+        widgets.push(
+          CardService.newTextInput()
+            .setFieldName("headerName_" + propertyId)
+            .setTitle("Header Name")
+            .setValue(currentConfig.headerName || "")
+            .setHint("e.g. X-Priority or X-Mailer")
+        );
+      }
+      
       // Transformation options (if applicable)
       if (shouldShowGmailFieldMapping(property.type)) {
         const transformations = getTransformationOptions(property.type);
@@ -117,7 +156,16 @@ const PropertyHandlers = {
         return null;
       }
       
-      let value = emailData[mapping.emailField];
+      let value;
+      
+      if (mapping.emailField === "attachments") {
+        // Attachment objects cannot be written as text, so use their names
+        value = emailData.attachmentNames;
+      } else if (mapping.emailField === "customHeader") {
+        value = getEmailHeaderValue(emailData, mapping.headerName);
+      } else {
+        value = emailData[mapping.emailField];
+      }
       
       // Handle falsy values (except false and 0)
       if (!value && value !== false && value !== 0) {
@@ -128,7 +176,7 @@ const PropertyHandlers = {
       value = applyTransformation(value, mapping.transformation);
       
       // Format for Notion API
-      return formatForNotionAPI(value, mapping.type);
+      return formatForNotionAPI(value, mapping.type, mapping.notionPropertyName);
     }
   },
   
@@ -175,7 +223,8 @@ const PropertyHandlers = {
             selectedOptions.push(inputValue);
           }
           
-          config.enabled = selectedOptions.length > 0;
+          config.emailField = formInput["emailField_" + property.id] || "";
+          config.enabled = selectedOptions.length > 0 || !!config.emailField;
           config.selectedOptions = selectedOptions;
           config.options = property.config.options || [];
           break;
@@ -273,6 +322,21 @@ const PropertyHandlers = {
           });
           
           widgets.push(multiOptionSelector);
+          
+          // Values can also come from a list field of the email, e.g. all participants
+          const sourceDropdown = CardService.newSelectionInput()
+            .setType(CardService.SelectionInputType.DROPDOWN)
+            .setFieldName("emailField_" + propertyId)
+            .setTitle("Also Add Values From");
+          
+          sourceDropdown.addItem("(Only the options above)", "", !currentConfig.emailField);
+          getAvailableGmailFields()
+            .filter(field => getAllowedPropertyTypesForGmailField(field.value).includes("multi_select"))
+            .forEach(field => {
+              sourceDropdown.addItem(field.label, field.value, currentConfig.emailField === field.value);
+            });
+          
+          widgets.push(sourceDropdown);
           break;
       }
       
@@ -285,7 +349,7 @@ const PropertyHandlers = {
      * @param {Object} emailData - Extracted email data
      * @returns {Object|null} Formatted property for Notion API
      */
-    processForNotion: function(mapping) {
+    processForNotion: function(mapping, emailData) {
       if (!mapping.enabled) {
         return null;
       }
@@ -301,8 +365,23 @@ const PropertyHandlers = {
             : null;
           
         case "multi_select":
-          return mapping.selectedOptions && mapping.selectedOptions.length > 0
-            ? { multi_select: mapping.selectedOptions.map(name => ({ name })) }
+          const names = (mapping.selectedOptions || []).slice();
+          
+          if (mapping.emailField && emailData) {
+            let emailValues = emailData[mapping.emailField] || [];
+            if (!Array.isArray(emailValues)) {
+              emailValues = String(emailValues).split(",");
+            }
+            
+            // Notion option names cannot contain commas and are limited to 100 characters
+            emailValues
+              .map(value => String(value).replace(/,/g, " ").trim().substring(0, 100))
+              .filter(value => value && !names.includes(value))
+              .forEach(value => names.push(value));
+          }
+          
+          return names.length > 0
+            ? { multi_select: names.slice(0, 100).map(name => ({ name })) }
             : null;
           
         default:
@@ -370,8 +449,8 @@ const PropertyHandlers = {
           .setText("<i>Select Notion workspace users to assign:</i>")
       );
       
-      // Fetch Notion users
-      const notionUsers = fetchNotionWorkspaceUsers();
+      // Fetch Notion users (cached, so several people properties share one API call)
+      const notionUsers = getCachedWorkspaceUsers();
       const selectedUsers = currentConfig.selectedUsers || [];
       
       if (notionUsers.length === 0) {
@@ -586,14 +665,125 @@ const PropertyHandlers = {
      * @returns {Object|null} Formatted property for Notion API
      */
     processForNotion: function(mapping, emailData, apiKey) {
-      // This would need to integrate with your file upload logic
-      // For now, return null - file handling should be done separately
-      if (!mapping.enabled) {
+      if (!mapping.enabled || mapping.transformation === "skip_files") {
         return null;
       }
       
-      // Placeholder - actual implementation would handle file attachments
-      return null;
+      const attachments = emailData.attachments || [];
+      if (attachments.length === 0) {
+        return null;
+      }
+      
+      // Notion only accepts external links here, so files go to Drive first
+      const uploaded = processEmailAttachments(attachments, emailData.subject || "");
+      return uploaded.length > 0 ? { files: formatFilesForNotion(uploaded) } : null;
+    }
+  },
+  
+  // ============================================
+  // PAGE CONTENT (page body, not a database property)
+  // ============================================
+  page_content: {
+    /**
+     * Process configuration for the page content
+     * @param {Object} property - Pseudo property (see PAGE_CONTENT_PROPERTY)
+     * @param {Object} formInput - Form input data
+     * @returns {Object} Processed configuration with ordered sections
+     */
+    processConfiguration: function(property, formInput) {
+      const sections = [];
+      
+      PAGE_CONTENT_SECTIONS.forEach((section, index) => {
+        const value = formInput["pageContentSection_" + (index + 1)];
+        if (value && !sections.includes(value)) {
+          sections.push(value);
+        }
+      });
+      
+      return {
+        type: "page_content",
+        isPageContent: true,
+        enabled: formInput["enabled_" + property.id] === "true",
+        sections: sections,
+        bodyMode: formInput.pageContentBodyMode || "",
+        summaryLayout: formInput.pageContentSummaryLayout || "callout"
+      };
+    },
+    
+    /**
+     * Build UI widgets for the page content
+     * @param {Object} property - Pseudo property (see PAGE_CONTENT_PROPERTY)
+     * @param {Object} currentConfig - Current configuration
+     * @returns {Array<CardService.Widget>} Array of UI widgets
+     */
+    buildUI: function(property, currentConfig) {
+      const widgets = [];
+      const sections = currentConfig.sections || [];
+      
+      widgets.push(
+        CardService.newSelectionInput()
+          .setType(CardService.SelectionInputType.CHECK_BOX)
+          .setFieldName("enabled_" + property.id)
+          .addItem("Write email content into the page", "true", currentConfig.enabled)
+      );
+      
+      widgets.push(
+        CardService.newTextParagraph()
+          .setText("<font color='#5F6368'>Choose what goes into the page body, from top to bottom.</font>")
+      );
+      
+      // One dropdown per position, since cards have no sortable list
+      PAGE_CONTENT_SECTIONS.forEach((section, index) => {
+        const dropdown = CardService.newSelectionInput()
+          .setType(CardService.SelectionInputType.DROPDOWN)
+          .setFieldName("pageContentSection_" + (index + 1))
+          .setTitle("Section " + (index + 1));
+        
+        dropdown.addItem("(None)", "", !sections[index]);
+        PAGE_CONTENT_SECTIONS.forEach(option => {
+          dropdown.addItem(option.label, option.value, sections[index] === option.value);
+        });
+        
+        widgets.push(dropdown);
+      });
+      
+      const bodyModeDropdown = CardService.newSelectionInput()
+        .setType(CardService.SelectionInputType.DROPDOWN)
+        .setFieldName("pageContentBodyMode")
+        .setTitle("Email Body Format");
+      
+      bodyModeDropdown.addItem("Use setting from Settings", "", !currentConfig.bodyMode);
+      BODY_CONTENT_MODES.forEach(mode => {
+        bodyModeDropdown.addItem(mode.label, mode.value, currentConfig.bodyMode === mode.value);
+      });
+      
+      widgets.push(bodyModeDropdown);
+      
+      const layoutDropdown = CardService.newSelectionInput()
+        .setType(CardService.SelectionInputType.DROPDOWN)
+        .setFieldName("pageContentSummaryLayout")
+        .setTitle("Header Summary Layout");
+      
+      EMAIL_SUMMARY_LAYOUTS.forEach(layout => {
+        layoutDropdown.addItem(layout.label, layout.value, (currentConfig.summaryLayout || "callout") === layout.value);
+      });
+      
+      widgets.push(layoutDropdown);
+      return widgets;
+    },
+    
+    /**
+     * Build the page body blocks
+     * @param {Object} mapping - Page content configuration
+     * @param {Object} emailData - Extracted email data
+     * @returns {Array<Object>} Notion blocks (empty when disabled)
+     */
+    processForNotion: function(mapping, emailData) {
+      if (!mapping.enabled) {
+        return [];
+      }
+      
+      return buildPageContentBlocks(mapping, emailData);
     }
   },
   
@@ -688,7 +878,10 @@ function getPropertyHandler(propertyType) {
     last_edited_time: PropertyHandlers.auto_managed,
     last_edited_by: PropertyHandlers.auto_managed,
     formula: PropertyHandlers.auto_managed,
-    rollup: PropertyHandlers.auto_managed
+    rollup: PropertyHandlers.auto_managed,
+    
+    // Page body
+    page_content: PropertyHandlers.page_content
   };
   
   return handlerMap[propertyType] || PropertyHandlers.text;
@@ -946,9 +1139,10 @@ function applyTransformation(value, transformation) {
  * Format value for Notion API based on property type
  * @param {any} value - Value to format (should already be transformed)
  * @param {string} propertyType - Notion property type
+ * @param {string} [propertyName] - Property name, used to label text moved to page content
  * @returns {Object|null} Formatted property for Notion API
  */
-function formatForNotionAPI(value, propertyType) {
+function formatForNotionAPI(value, propertyType, propertyName) {
   console.log(`📦 formatForNotionAPI: type="${propertyType}", value="${value}"`);
   
   // Handle falsy values (except false and 0)
@@ -957,32 +1151,26 @@ function formatForNotionAPI(value, propertyType) {
     return null;
   }
   
-  const stringValue = value.toString();
+  // Address and label lists read as comma-separated text
+  const stringValue = Array.isArray(value) ? value.join(", ") : value.toString();
   
   switch (propertyType) {
     case "title":
-      return {
-        title: [{
-          type: "text",
-          text: { content: stringValue }
-        }]
-      };
-      
     case "rich_text":
-      // Split text into 2000-character chunks for Notion API limit
-      const textChunks = [];
-      for (let i = 0; i < stringValue.length; i += 2000) {
-        textChunks.push({
-          type: "text",
-          text: { content: stringValue.substring(i, Math.min(i + 2000, stringValue.length)) }
-        });
+      // Split into elements within Notion's length and count limits
+      const built = buildNotionRichText(stringValue);
+      if (built.overflowText) {
+        addTextOverflow(propertyName || propertyType, built.overflowText);
       }
-      return { rich_text: textChunks };
+      return { [propertyType]: built.richText };
       
     case "email":
+      // An email property holds one address, so lists contribute their first entry
+      const emailValue = Array.isArray(value) ? String(value[0] || "") : stringValue;
+      
       // Simple email validation
       const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      return emailRegex.test(stringValue) ? { email: stringValue } : null;
+      return emailRegex.test(emailValue) ? { email: emailValue } : null;
       
     case "url":
       // Simple URL validation
@@ -1038,11 +1226,16 @@ function formatForNotionAPI(value, propertyType) {
       return { checkbox: isChecked };
       
     case "select":
-      return { select: { name: stringValue } };
+      // A select holds one option, so lists contribute their first entry; option names cannot contain commas
+      const selectName = (Array.isArray(value) ? String(value[0] || "") : stringValue).replace(/,/g, " ").trim();
+      return selectName ? { select: { name: selectName.substring(0, 100) } } : null;
       
     case "multi_select":
-      const items = Array.isArray(value) ? value : stringValue.split(",").map(item => item.trim());
-      return { multi_select: items.map(item => ({ name: item })) };
+      const items = Array.isArray(value) ? value.map(String) : stringValue.split(",").map(item => item.trim());
+      const names = items
+        .map(item => item.replace(/,/g, " ").trim().substring(0, 100))
+        .filter((item, index, all) => item && all.indexOf(item) === index);
+      return { multi_select: names.map(item => ({ name: item })) };
       
     default:
       console.log(`  ❓ Unknown property type: "${propertyType}"`);
@@ -0,0 +1,498 @@
+/**
+ * @fileoverview Saved email ledger and duplicate detection
+ * @version 2.0.0
+ * @description Remembers which emails were saved to which pages, and finds an existing page before a new one is created
+ */
+
+/**
+ * UTF-8 bytes stored per user property; values are limited to 9 KB, and
+ * the rest is left as headroom
+ * @type {number}
+ */
+const SAVE_LEDGER_SHARD_BYTES = 8000;
+
+/**
+ * UTF-8 bytes of recent saves kept in user properties. Older saves move to a
+ * JSON file in Drive, so the 500 KB property store is not filled.
+ * @type {number}
+ */
+const SAVE_LEDGER_MAX_PROPERTY_BYTES = 64000;
+
+/**
+ * Saves kept in the Drive archive; the oldest are dropped beyond this
+ * @type {number}
+ */
+const SAVE_LEDGER_ARCHIVE_MAX_ENTRIES = 5000;
+
+/**
+ * Per-execution copy of the Drive archive
+ * @type {{entries: (Array<SavedEmail>|null)}}
+ */
+const SAVE_LEDGER_ARCHIVE_MEMO = { entries: null };
+
+/**
+ * A save recorded in the ledger
+ * @typedef {Object} SavedEmail
+ * @property {string} key - Message key (see buildMessageKey)
+ * @property {string} messageId - Gmail message ID
+ * @property {string} threadId - Gmail thread ID
+ * @property {string} subject - Email subject, shortened
+ * @property {string} pageId - Notion page ID
+ * @property {string} url - Notion page URL
+ * @property {string} databaseId - Database the page is in
+ * @property {string} databaseName - Database name at the time of the save
+ * @property {string} mode - "email", "thread" or "update"
+ * @property {string} profile - Fingerprint of the mappings used, which changes whenever they are edited
+ * @property {string} savedAt - ISO timestamp
+ * @property {Array<string>} [messageKeys] - Keys of the messages on the page (thread saves only)
+ */
+
+/**
+ * Email fields that identify a saved page when mapped to a property, most specific first.
+ * A thread ID match means the conversation was saved, not necessarily this message.
+ * @type {Array<string>}
+ */
+const DUPLICATE_IDENTITY_FIELDS = ["rfcMessageId", "messageId", "gmailLinkUrl", "threadId"];
+
+/**
+ * Property types whose values can be matched exactly in a database query
+ * @type {Array<string>}
+ */
+const DUPLICATE_QUERY_TYPES = ["rich_text", "title", "url"];
+
+/**
+ * Build the short key that identifies a message in saved records. The
+ * Message-ID is hashed so that records stay small.
+ * @param {Object} emailData - Email data with rfcMessageId or messageId
+ * @returns {string} Message key
+ */
+function buildMessageKey(emailData) {
+  const id = emailData.rfcMessageId || emailData.messageId || "";
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, id, Utilities.Charset.UTF_8);
+  return Utilities.base64EncodeWebSafe(digest).substring(0, 12);
+}
+
+/**
+ * Get the recent saves kept in user properties
+ * @returns {Array<SavedEmail>} Saves, newest first
+ */
+function getSaveLedger() {
+  const props = PropertiesService.getUserProperties();
+  const shardCount = parseInt(props.getProperty("G2N_SAVE_LEDGER_SHARDS") || "0", 10);
+  let ledgerJson = "";
+  
+  for (let i = 0; i < shardCount; i++) {
+    ledgerJson += props.getProperty("G2N_SAVE_LEDGER_" + i) || "";
+  }
+  
+  if (!ledgerJson) {
+    return [];
+  }
+  
+  try {
+    return JSON.parse(ledgerJson);
+  } catch (error) {
+    console.error("Error parsing save ledger:", error);
+    return [];
+  }
+}
+
+/**
+ * Store the recent saves, moving the oldest to the Drive archive when they
+ * no longer fit in user properties
+ * @param {Array<SavedEmail>} entries - Saves, newest first
+ */
+function storeSaveLedger(entries) {
+  const props = PropertiesService.getUserProperties();
+  const kept = entries.slice();
+  const spilled = [];
+  let ledgerJson = JSON.stringify(kept);
+  
+  while (getUtf8ByteLength(ledgerJson) > SAVE_LEDGER_MAX_PROPERTY_BYTES && kept.length > 1) {
+    // Move roughly a quarter at a time to limit Drive writes
+    spilled.push(...kept.splice(Math.floor(kept.length * 3 / 4)));
+    ledgerJson = JSON.stringify(kept);
+  }
+  
+  if (spilled.length > 0) {
+    appendToSaveArchive(spilled);
+  }
+  
+  const oldShardCount = parseInt(props.getProperty("G2N_SAVE_LEDGER_SHARDS") || "0", 10);
+  const chunks = splitUtf8Chunks(ledgerJson, SAVE_LEDGER_SHARD_BYTES);
+  const shards = {};
+  
+  chunks.forEach((chunk, i) => {
+    shards["G2N_SAVE_LEDGER_" + i] = chunk;
+  });
+  
+  const shardCount = chunks.length;
+  shards.G2N_SAVE_LEDGER_SHARDS = String(shardCount);
+  props.setProperties(shards);
+  
+  for (let i = shardCount; i < oldShardCount; i++) {
+    props.deleteProperty("G2N_SAVE_LEDGER_" + i);
+  }
+}
+
+/**
+ * Get the UTF-8 size of a string, which is what property quotas count
+ * @param {string} text - Text to measure
+ * @returns {number} Size in bytes
+ */
+function getUtf8ByteLength(text) {
+  return Utilities.newBlob(text).getBytes().length;
+}
+
+/**
+ * Split text into chunks of at most a number of UTF-8 bytes. Chunks end on
+ * code point boundaries, so surrogate pairs are never split.
+ * @param {string} text - Text to split
+ * @param {number} maxBytes - Maximum bytes per chunk (at least 4)
+ * @returns {Array<string>} Chunks, in order
+ */
+function splitUtf8Chunks(text, maxBytes) {
+  const chunks = [];
+  let start = 0;
+  let bytes = 0;
+  let index = 0;
+  
+  while (index < text.length) {
+    const codePoint = text.codePointAt(index);
+    const width = codePoint > 0xFFFF ? 2 : 1;
+    const size = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+    
+    if (bytes + size > maxBytes) {
+      chunks.push(text.substring(start, index));
+      start = index;
+      bytes = 0;
+    }
+    
+    bytes += size;
+    index += width;
+  }
+  
+  if (index > start) {
+    chunks.push(text.substring(start));
+  }
+  
+  return chunks;
+}
+
+/**
+ * Get the saves archived in Drive
+ * @returns {Array<SavedEmail>} Archived saves, newest first (empty if there is no archive)
+ */
+function getArchivedSaves() {
+  if (SAVE_LEDGER_ARCHIVE_MEMO.entries) {
+    return SAVE_LEDGER_ARCHIVE_MEMO.entries;
+  }
+  
+  const fileId = PropertiesService.getUserProperties().getProperty("G2N_SAVE_LEDGER_FILE");
+  if (!fileId) {
+    return [];
+  }
+  
+  try {
+    SAVE_LEDGER_ARCHIVE_MEMO.entries = JSON.parse(DriveApp.getFileById(fileId).getBlob().getDataAsString());
+  } catch (error) {
+    console.error("Error reading save archive:", error);
+    SAVE_LEDGER_ARCHIVE_MEMO.entries = [];
+  }
+  
+  return SAVE_LEDGER_ARCHIVE_MEMO.entries;
+}
+
+/**
+ * Add saves to the Drive archive
+ * @param {Array<SavedEmail>} entries - Saves to archive, newest first
+ */
+function appendToSaveArchive(entries) {
+  writeSaveArchive(entries.concat(getArchivedSaves()).slice(0, SAVE_LEDGER_ARCHIVE_MAX_ENTRIES));
+  console.log(`Archived ${entries.length} saves to Drive`);
+}
+
+/**
+ * Replace the contents of the Drive archive, creating it on first use. The
+ * file is created outside the shared attachments folder, so it stays private.
+ * @param {Array<SavedEmail>} archived - Archived saves, newest first
+ */
+function writeSaveArchive(archived) {
+  const props = PropertiesService.getUserProperties();
+  const fileId = props.getProperty("G2N_SAVE_LEDGER_FILE");
+  const content = JSON.stringify(archived);
+  
+  try {
+    if (fileId) {
+      DriveApp.getFileById(fileId).setContent(content);
+    } else {
+      const file = DriveApp.createFile("Gmail-to-Notion save history.json", content, "application/json");
+      props.setProperty("G2N_SAVE_LEDGER_FILE", file.getId());
+    }
+    SAVE_LEDGER_ARCHIVE_MEMO.entries = archived;
+  } catch (error) {
+    // Losing old history is better than failing the save that triggered this
+    console.error("Error writing save archive:", error);
+  }
+}
+
+/**
+ * Record a save in the ledger
+ * @param {Object} emailData - Extracted email data
+ * @param {{id: string, url: string}} page - Created or updated page
+ * @param {string} [mode] - "email" (default), "thread" or "update"
+ * @param {Object} [details] - Further fields to store, e.g. messageKeys for a thread
+ */
+function recordSavedMessage(emailData, page, mode, details) {
+  try {
+    const config = getConfig();
+    const key = buildMessageKey(emailData);
+    const entry = {
+      key: key,
+      messageId: emailData.messageId || "",
+      threadId: emailData.threadId || "",
+      subject: (emailData.subject || "").substring(0, 80),
+      pageId: page.id,
+      url: page.url,
+      databaseId: config.databaseId,
+      databaseName: config.databaseName,
+      mode: mode || "email",
+      profile: buildMappingsFingerprint(getMappings()),
+      savedAt: new Date().toISOString()
+    };
+    Object.assign(entry, details);
+    
+    // A thread's page and a page for its first message are kept apart
+    const isThread = saved => saved.mode === "thread";
+    storeSaveLedger([entry].concat(getSaveLedger().filter(saved =>
+      saved.key !== key || isThread(saved) !== isThread(entry))));
+  } catch (error) {
+    // The page was created; a missing record only weakens duplicate detection
+    console.error("Error recording saved email:", error);
+  }
+}
+
+/**
+ * Find a recorded save of an email in a database
+ * @param {Object} emailData - Email data with rfcMessageId or messageId
+ * @param {string} databaseId - Database ID
+ * @param {boolean} [searchArchive] - Also look in the Drive archive, which is slow to read
+ * @returns {SavedEmail|null} Most recent save, or null
+ */
+function findSavedMessage(emailData, databaseId, searchArchive) {
+  const key = buildMessageKey(emailData);
+  const matches = saved => saved.key === key && saved.databaseId === databaseId;
+  
+  return getSaveLedger().find(matches) || (searchArchive && getArchivedSaves().find(matches)) || null;
+}
+
+/**
+ * Find the recorded page of a whole thread in a database
+ * @param {string} threadId - Gmail thread ID
+ * @param {string} databaseId - Database ID
+ * @param {boolean} [searchArchive] - Also look in the Drive archive, which is slow to read
+ * @returns {SavedEmail|null} Most recent thread save, or null
+ */
+function findSavedThread(threadId, databaseId, searchArchive) {
+  if (!threadId || !databaseId) {
+    return null;
+  }
+  
+  const matches = saved => saved.mode === "thread" && saved.threadId === threadId && saved.databaseId === databaseId;
+  
+  return getSaveLedger().find(matches) || (searchArchive && getArchivedSaves().find(matches)) || null;
+}
+
+/**
+ * Remove the thread saves of a conversation, e.g. after its page was deleted
+ * @param {string} threadId - Gmail thread ID
+ */
+function forgetSavedThread(threadId) {
+  const matches = saved => saved.mode === "thread" && saved.threadId === threadId;
+  const ledger = getSaveLedger();
+  
+  if (ledger.some(matches)) {
+    storeSaveLedger(ledger.filter(saved => !matches(saved)));
+  }
+  
+  const archived = getArchivedSaves();
+  if (archived.some(matches)) {
+    writeSaveArchive(archived.filter(saved => !matches(saved)));
+  }
+  
+  console.log("Forgot saved thread:", threadId);
+}
+
+/**
+ * Remove an email from the ledger, e.g. after its page was deleted
+ * @param {Object} emailData - Email data with rfcMessageId or messageId
+ */
+function forgetSavedMessage(emailData) {
+  const key = buildMessageKey(emailData);
+  const ledger = getSaveLedger();
+  const remaining = ledger.filter(saved => saved.key !== key);
+  
+  if (remaining.length < ledger.length) {
+    storeSaveLedger(remaining);
+    console.log("Forgot saved email:", key);
+  }
+  
+  const archived = getArchivedSaves();
+  if (archived.some(saved => saved.key === key)) {
+    writeSaveArchive(archived.filter(saved => saved.key !== key));
+  }
+}
+
+/**
+ * Get the most recent saves for the homepage
+ * @param {number} limit - Number of saves
+ * @returns {Array<SavedEmail>} Saves, newest first
+ */
+function getRecentSaves(limit) {
+  return getSaveLedger().slice(0, limit);
+}
+
+/**
+ * Delete the save history, including the Drive archive
+ * @returns {CardService.ActionResponse} Action response
+ */
+function clearSaveLedger() {
+  deleteSaveLedger();
+  console.log("Save history cleared");
+  
+  return CardService.newActionResponseBuilder()
+    .setNotification(
+      CardService.newNotification()
+        .setText("✅ Save history cleared")
+    )
+    .setNavigation(
+      CardService.newNavigation()
+        .updateCard(buildHomepageCard())
+    )
+    .build();
+}
+
+/**
+ * Delete the stored saves and trash the Drive archive
+ */
+function deleteSaveLedger() {
+  const props = PropertiesService.getUserProperties();
+  const shardCount = parseInt(props.getProperty("G2N_SAVE_LEDGER_SHARDS") || "0", 10);
+  const fileId = props.getProperty("G2N_SAVE_LEDGER_FILE");
+  
+  for (let i = 0; i < shardCount; i++) {
+    props.deleteProperty("G2N_SAVE_LEDGER_" + i);
+  }
+  props.deleteProperty("G2N_SAVE_LEDGER_SHARDS");
+  
+  if (fileId) {
+    try {
+      DriveApp.getFileById(fileId).setTrashed(true);
+    } catch (error) {
+      console.warn("Could not delete save archive:", error.message);
+    }
+    props.deleteProperty("G2N_SAVE_LEDGER_FILE");
+  }
+  SAVE_LEDGER_ARCHIVE_MEMO.entries = null;
+}
+
+/**
+ * Fingerprint a mapping configuration so saves can be traced to the mappings that produced them
+ * @param {Object} mappings - Field mappings
+ * @returns {string} Short fingerprint
+ */
+function buildMappingsFingerprint(mappings) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify(mappings || {}), Utilities.Charset.UTF_8);
+  return Utilities.base64EncodeWebSafe(digest).substring(0, 8);
+}
+
+/**
+ * Find the page an email was already saved to in the selected database.
+ * The local ledger is checked first, then mapped identity properties in Notion.
+ * @param {Object} emailData - Email data (rfcMessageId, messageId, gmailLinkUrl, threadId)
+ * @param {Object} [mappings] - Field mappings (defaults to the saved mappings)
+ * @returns {{pageId: string, url: string, source: string, matchedBy: string}|null} Existing page, or null
+ */
+function findExistingSave(emailData, mappings) {
+  const config = getConfig();
+  
+  if (!config.apiKey || !config.databaseId) {
+    return null;
+  }
+  
+  const entry = findSavedMessage(emailData, config.databaseId, true);
+  
+  if (entry) {
+    if (isNotionPageLive(entry.pageId, config.apiKey)) {
+      return { pageId: entry.pageId, url: entry.url, source: "ledger", matchedBy: "rfcMessageId" };
+    }
+    forgetSavedMessage(emailData);
+  }
+  
+  return findPageByMappedIdentity(emailData, mappings || getMappings(), config);
+}
+
+/**
+ * Query the database for a page whose identity property matches the email
+ * @param {Object} emailData - Email data
+ * @param {Object} mappings - Field mappings
+ * @param {Config} config - Current configuration
+ * @returns {{pageId: string, url: string, source: string, matchedBy: string}|null} Matching page, or null
+ */
+function findPageByMappedIdentity(emailData, mappings, config) {
+  const queryPath = config.dataSourceId && usesNotionDataSources()
+    ? `/data_sources/${config.dataSourceId}/query`
+    : `/databases/${config.databaseId}/query`;
+  
+  for (const field of DUPLICATE_IDENTITY_FIELDS) {
+    const value = emailData[field];
+    const match = Object.entries(mappings).find(([, mapping]) =>
+      mapping.enabled && mapping.emailField === field && DUPLICATE_QUERY_TYPES.includes(mapping.type)
+    );
+    
+    if (!value || !match) continue;
+    
+    const [propertyId, mapping] = match;
+    
+    try {
+      const data = notionRequest(queryPath, {
+        method: "POST",
+        apiKey: config.apiKey,
+        payload: {
+          filter: { property: propertyId, [mapping.type]: { equals: String(value) } },
+          page_size: 1
+        }
+      });
+      
+      const page = (data.results || [])[0];
+      if (page) {
+        console.log(`Found existing page by ${field}:`, page.id);
+        return { pageId: page.id, url: page.url, source: "notion", matchedBy: field };
+      }
+    } catch (error) {
+      console.warn(`Duplicate lookup by ${field} failed:`, error.message);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Check that a page still exists and is not in the trash
+ * @param {string} pageId - Notion page ID
+ * @param {string} apiKey - Notion API key
+ * @returns {boolean} True if the page can be opened
+ */
+function isNotionPageLive(pageId, apiKey) {
+  try {
+    const page = notionRequest(`/pages/${pageId}`, { apiKey: apiKey });
+    return !page.archived && !page.in_trash;
+  } catch (error) {
+    if (error instanceof NotionApiError && error.code === "object_not_found") {
+      return false;
+    }
+    // Keep the record when Notion is merely unreachable
+    console.warn("Could not check saved page:", error.message);
+    return true;
+  }
+}
@@ -150,7 +150,7 @@ function testEmailSaving() {
       plainBody: "This is a test email body for testing the Gmail to Notion integration.",
       snippet: "This is a test email body...",
       threadId: "test-thread-123",
-      gmailLinkUrl: "https://mail.google.com/mail/u/0/#inbox/test-id",
+      gmailLinkUrl: buildGmailPermalink("test-id"),
       hasAttachments: false,
       attachmentCount: 0,
       attachments: [],
@@ -217,7 +217,7 @@ function testEmailSaving() {
     
     // Test saving
     console.log("Attempting to save test email...");
-    var result = saveToNotionAPI(config.apiKey, config.databaseId, properties);
+    var result = saveToNotionAPI(config.apiKey, config.databaseId, properties, config.dataSourceId);
     
     console.log("✅ Test email saved successfully!");
     console.log("Page ID:", result.id);
@@ -238,8 +238,8 @@ function testEmailSaving() {
 function testDatabaseFetch() {
   console.log("=== TESTING DATABASE FETCH ===");
   
-  // First, make sure you have an API key set
-  var apiKey = PropertiesService.getUserProperties().getProperty("G2N_API_KEY");
+  // First, make sure you have an API key set (pasted or via Notion sign-in)
+  var apiKey = getConfig().apiKey;
   if (!apiKey) {
     console.log("❌ No API key set. Please set it in Settings first.");
     return "❌ No API key set. Go to Settings → Set API Key → Save.";
@@ -314,7 +314,7 @@ function testDatabaseSchema() {
   }
   
   try {
-    var schemaResult = fetchNotionDatabaseSchema(config.databaseId, config.apiKey);
+    var schemaResult = fetchNotionDatabaseSchema(config.databaseId, config.apiKey, config.dataSourceId);
     
     if (schemaResult.success) {
       var database = schemaResult.database;
@@ -432,6 +432,252 @@ function testNotionFetcherFunctions() {
     : `❌ Some tests failed! (${passedCount}/${totalCount})`;
 }
 
+/**
+ * Test Notion error classification with sample API errors
+ * @returns {string} Test results summary
+ */
+function testNotionErrorClassification() {
+  console.log("=== TESTING NOTION ERROR CLASSIFICATION ===");
+  
+  var mappings = {
+    "%3AbCd": { type: "select", notionPropertyName: "Status", enabled: true },
+    "title": { type: "title", notionPropertyName: "Name", enabled: true }
+  };
+  var schemaProperties = [
+    { id: "%3AbCd", name: "Status" },
+    { id: "title", name: "Name" }
+  ];
+  
+  var cases = [
+    { status: 401, code: "unauthorized", message: "API token is invalid.", expected: "unauthorized" },
+    { status: 404, code: "object_not_found", message: "Could not find database.", expected: "object_not_found" },
+    { status: 400, code: "validation_error", message: "body failed validation: body.properties.%3AbCd.select.name should be a string", expected: "validation_error", property: "Status" },
+    { status: 400, code: "validation_error", message: "Name is expected to be title.", expected: "validation_error", property: "Name" },
+    { status: 400, code: "validation_error", message: "Ghost is not a property that exists.", expected: "validation_error", property: "" },
+    { status: 429, code: "rate_limited", message: "Rate limited", expected: "rate_limited" },
+    { status: 409, code: "conflict_error", message: "Conflict occurred while saving.", expected: "conflict_error" },
+    { status: 502, code: "http_502", message: "Bad gateway", expected: "service_unavailable" }
+  ];
+  
+  var passedCount = 0;
+  
+  cases.forEach(testCase => {
+    var error = new NotionApiError(testCase.message, { status: testCase.status, code: testCase.code });
+    var info = classifyNotionError(error, mappings, schemaProperties);
+    var passed = info.category === testCase.expected &&
+      (testCase.property === undefined || info.propertyName === testCase.property);
+    
+    console.log(`  ${passed ? "✅" : "❌"} ${testCase.code} → ${info.category}${info.propertyName ? " (" + info.propertyName + ")" : ""}`);
+    if (passed) passedCount++;
+  });
+  
+  return passedCount === cases.length
+    ? `✅ All error classification tests passed! (${passedCount}/${cases.length})`
+    : `❌ Some tests failed! (${passedCount}/${cases.length})`;
+}
+
+/**
+ * Test MIME decoding with fixtures in common legacy encodings
+ * @returns {string} Test results summary
+ */
+function testMimeDecoding() {
+  console.log("=== TESTING MIME DECODING ===");
+  
+  // A message part as the Gmail API returns it: base64url data, charset as sent
+  var part = (data, contentType) => ({
+    body: { data: data },
+    headers: [{ name: "Content-Type", value: contentType }]
+  });
+  
+  var cases = [
+    {
+      name: "ISO-2022-JP body",
+      actual: () => decodeGmailPartBody(part("GyRCJDMkcyRLJEEkTxsoQg==", 'text/plain; charset="ISO-2022-JP"')),
+      expected: "こんにちは"
+    },
+    {
+      name: "Shift_JIS body",
+      actual: () => decodeGmailPartBody(part("k_qWe4zq", "text/plain; charset=Shift_JIS")),
+      expected: "日本語"
+    },
+    {
+      name: "Windows-1252 body",
+      actual: () => decodeGmailPartBody(part("Q2Fm6SCWIJNxdW90ZWSUIHByaWNlIIAxMA==", "text/plain; charset=windows-1252")),
+      expected: "Café – “quoted” price €10"
+    },
+    {
+      name: "ISO-8859-1 label read as Windows-1252",
+      actual: () => decodeGmailPartBody(part("k0hplA==", "text/html; charset=iso-8859-1")),
+      expected: "“Hi”"
+    },
+    {
+      name: "UTF-8 body",
+      actual: () => decodeGmailPartBody(part("R3LDvMOfZQ==", "text/plain; charset=utf-8")),
+      expected: "Grüße"
+    },
+    {
+      name: "Encoded-word subject (B and Q, adjacent words joined)",
+      actual: () => decodeEncodedWords("=?ISO-2022-JP?B?GyRCOCtAUT1xGyhC?= =?iso-8859-1?Q?Gr=FC=DFe_aus?= Berlin"),
+      expected: "見積書Grüße aus Berlin"
+    },
+    {
+      name: "Encoded-word display name",
+      actual: () => parseAddressList("=?UTF-8?B?5pel5pys?= <a@example.jp>")[0].name,
+      expected: "日本"
+    },
+    {
+      name: "Gmail API part with charset",
+      actual: () => decodeGmailPartBody({
+        body: { data: Utilities.base64EncodeWebSafe([0x43, 0x61, 0x66, -23]) },
+        headers: [{ name: "Content-Type", value: "text/plain; charset=windows-1252" }]
+      }),
+      expected: "Café"
+    }
+  ];
+  
+  var passedCount = 0;
+  
+  cases.forEach(testCase => {
+    var actual;
+    try {
+      actual = testCase.actual();
+    } catch (error) {
+      actual = "Error: " + error.message;
+    }
+    
+    var passed = actual === testCase.expected;
+    console.log(`  ${passed ? "✅" : "❌"} ${testCase.name}: ${actual}`);
+    if (passed) passedCount++;
+  });
+  
+  return passedCount === cases.length
+    ? `✅ All MIME decoding tests passed! (${passedCount}/${cases.length})`
+    : `❌ Some tests failed! (${passedCount}/${cases.length})`;
+}
+
+/**
+ * Test HTML to Notion block conversion, including character references in links
+ * @returns {string} Test results summary
+ */
+function testHtmlConversion() {
+  console.log("=== TESTING HTML CONVERSION ===");
+  
+  var convert = html => convertHtmlToNotionBlocks(html);
+  var richText = block => block[block.type].rich_text;
+  var plainText = blocks => blocks.map(block => richText(block).map(run => run.text.content).join("")).join("\n");
+  var firstLink = blocks => {
+    var run = blocks.map(richText).flat().find(candidate => candidate.text.link);
+    return run ? run.text.link.url : "";
+  };
+  
+  var cases = [
+    {
+      name: "Query parameters named like entities stay in links",
+      actual: () => firstLink(convert('<a href="https://example.com/u?id=1&copy=2&reg=3&para=4&times=5">Unsubscribe</a>')),
+      expected: "https://example.com/u?id=1&copy=2&reg=3&para=4&times=5"
+    },
+    {
+      name: "Escaped ampersands in links",
+      actual: () => firstLink(convert('<a href="https://example.com/?a=1&amp;b=2">Link</a>')),
+      expected: "https://example.com/?a=1&b=2"
+    },
+    {
+      name: "Named and numeric references in text",
+      actual: () => plainText(convert("<p>&copy 2024 &ndash; 5 &times; 3 &#8364;&#x31;0</p>")),
+      expected: "© 2024 – 5 × 3 €10"
+    },
+    {
+      name: "Headings, paragraphs and list items",
+      actual: () => convert("<h2>Title</h2><p>Body</p><ul><li>One</li></ul>").map(block => block.type).join(", "),
+      expected: "heading_2, paragraph, bulleted_list_item"
+    },
+    {
+      name: "Bold run",
+      actual: () => {
+        var run = richText(convert("<p>Plain <b>bold</b></p>")[0]).find(candidate => candidate.text.content === "bold");
+        return run && run.annotations && run.annotations.bold ? "bold" : "not bold";
+      },
+      expected: "bold"
+    }
+  ];
+  
+  var passedCount = 0;
+  
+  cases.forEach(testCase => {
+    var actual;
+    try {
+      actual = testCase.actual();
+    } catch (error) {
+      actual = "Error: " + error.message;
+    }
+    
+    var passed = actual === testCase.expected;
+    console.log(`  ${passed ? "✅" : "❌"} ${testCase.name}: ${actual}`);
+    if (passed) passedCount++;
+  });
+  
+  return passedCount === cases.length
+    ? `✅ All HTML conversion tests passed! (${passedCount}/${cases.length})`
+    : `❌ Some tests failed! (${passedCount}/${cases.length})`;
+}
+
+
+/**
+ * Test save ledger sharding with multi-byte subjects. Nothing is stored.
+ * @returns {string} Test results summary
+ */
+function testSaveLedgerSharding() {
+  console.log("=== TESTING SAVE LEDGER SHARDING ===");
+  
+  var entries = [];
+  for (var i = 0; i < 120; i++) {
+    entries.push({
+      key: "key" + i,
+      subject: ["見積書のご送付について", "🎉🎉 Launch day 🚀", "Grüße aus Köln", "Plain subject"][i % 4] + " #" + i,
+      pageId: "page" + i,
+      savedAt: new Date(2024, 0, 1 + i).toISOString()
+    });
+  }
+  
+  var ledgerJson = JSON.stringify(entries);
+  var chunks = splitUtf8Chunks(ledgerJson, SAVE_LEDGER_SHARD_BYTES);
+  var cases = [
+    {
+      name: "Ledger spans several shards",
+      passed: chunks.length > 1
+    },
+    {
+      name: "Every shard is within the byte limit",
+      passed: chunks.every(chunk => Utilities.newBlob(chunk).getBytes().length <= SAVE_LEDGER_SHARD_BYTES)
+    },
+    {
+      name: "No shard starts or ends inside a surrogate pair",
+      passed: chunks.every(chunk => !/^[\uDC00-\uDFFF]|[\uD800-\uDBFF]$/.test(chunk))
+    },
+    {
+      name: "Joined shards parse back to the same entries",
+      passed: JSON.stringify(JSON.parse(chunks.join(""))) === ledgerJson
+    },
+    {
+      name: "Byte length counts emoji as four bytes",
+      passed: getUtf8ByteLength("a🎉é見") === 1 + 4 + 2 + 3
+    }
+  ];
+  
+  var passedCount = 0;
+  
+  cases.forEach(testCase => {
+    console.log(`  ${testCase.passed ? "✅" : "❌"} ${testCase.name}`);
+    if (testCase.passed) passedCount++;
+  });
+  
+  console.log(`  ${chunks.length} shards for ${ledgerJson.length} characters (${getUtf8ByteLength(ledgerJson)} bytes)`);
+  
+  return passedCount === cases.length
+    ? `✅ All save ledger sharding tests passed! (${passedCount}/${cases.length})`
+    : `❌ Some tests failed! (${passedCount}/${cases.length})`;
+}
+
 
 
 // ============================================
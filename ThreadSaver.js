@@ -0,0 +1,475 @@
+// ============================================
+// FILE: ThreadSaver.js
+// DESCRIPTION: Saves a whole Gmail conversation as one Notion page
+// ============================================
+
+/**
+ * Save the thread of the open email to Notion as one page
+ * @param {Object} event - Event object with Gmail data
+ * @returns {Object} Result object with success status and message
+ */
+function saveThreadToNotion(event) {
+  console.log("✅ saveThreadToNotion called", event?.gmail?.messageId);
+  
+  var config = getConfig();
+  
+  try {
+    var messageId = event?.gmail?.messageId;
+    
+    if (!config.apiKey) throw new Error("API key not configured");
+    if (!config.databaseId) throw new Error("Database not selected");
+    if (!messageId) throw new Error("No email selected");
+    
+    var messages = extractThreadEmailData(messageId);
+    if (messages.length === 0) {
+      throw new Error("Failed to read the conversation");
+    }
+    
+    console.log(`Thread has ${messages.length} messages`);
+    
+    var threadData = buildThreadEmailData(messages);
+    var mappings = getMappings();
+    
+    resetTextOverflow();
+    var notionProperties = applyMappings(threadData, mappings);
+    
+    if (Object.keys(notionProperties).length === 0) {
+      console.warn("No properties generated! Creating minimal properties...");
+      notionProperties = {
+        "title": {
+          "title": [{ "type": "text", "text": { "content": threadData.subject } }]
+        }
+      };
+    }
+    
+    var pageContent = mappings[PAGE_CONTENT_PROPERTY.id];
+    var bodyMode = (pageContent && pageContent.bodyMode) || getBodyContentMode();
+    var pageChildren = buildThreadPageBlocks(messages, threadData, bodyMode)
+      .concat(takeTextOverflowBlocks());
+    
+    var result = saveToNotionAPIWithChildren(
+      config.apiKey,
+      config.databaseId,
+      notionProperties,
+      pageChildren,
+      config.dataSourceId
+    );
+    
+    console.log("✅ Thread page created:", result.url);
+    
+    recordSavedMessage(threadData, result, "thread", {
+      messageKeys: messages.map(buildMessageKey)
+    });
+    
+    return {
+      success: true,
+      message: result.contentError
+        ? "Thread saved, but some content could not be added: " + result.contentError
+        : `Thread saved to Notion (${messages.length} messages)!`,
+      partial: !!result.contentError,
+      url: result.url,
+      pageId: result.id,
+      emailId: messageId,
+      threadId: threadData.threadId
+    };
+  
+  } catch (error) {
+    console.error("Error saving thread:", error);
+    
+    var notionError = null;
+    if (error instanceof NotionApiError) {
+      notionError = classifyNotionError(error);
+      
+      if (notionError.category === "validation_error") {
+        invalidateDatabaseSchemaCache(config.databaseId, config.dataSourceId);
+      }
+    }
+    
+    return {
+      success: false,
+      message: "Failed to save thread: " + (notionError ? notionError.title : error.message),
+      notionError: notionError
+    };
+  }
+}
+
+/**
+ * Save thread button handler
+ * @param {Object} event - Event object
+ * @returns {CardService.ActionResponse} Action response
+ */
+function quickG2NSaveThread(event) {
+  var result = saveThreadToNotion(event);
+  var notification = CardService.newNotification()
+    .setText((result.success ? (result.partial ? "⚠️ " : "✅ ") : "❌ ") + result.message);
+  var response = CardService.newActionResponseBuilder()
+    .setNotification(notification);
+  
+  if (result.success) {
+    response.setOpenLink(
+      CardService.newOpenLink()
+        .setUrl(result.url)
+    );
+  } else if (result.notionError) {
+    response.setNavigation(
+      CardService.newNavigation()
+        .pushCard(buildNotionErrorCard(result.notionError, "quickG2NSaveThread"))
+    );
+  }
+  
+  return response.build();
+}
+
+/**
+ * Append the replies that arrived since a thread was saved to its page
+ * @param {Object} event - Event object with Gmail data
+ * @returns {Object} Result object with success status and message
+ */
+function appendThreadToNotion(event) {
+  console.log("✅ appendThreadToNotion called", event?.gmail?.messageId);
+  
+  var config = getConfig();
+  var record = null;
+  var threadId = "";
+  
+  try {
+    var messageId = event?.gmail?.messageId;
+    if (!config.apiKey) throw new Error("API key not configured");
+    if (!messageId) throw new Error("No email selected");
+    
+    var messages = extractThreadEmailData(messageId);
+    if (messages.length === 0) {
+      throw new Error("Failed to read the conversation");
+    }
+    
+    threadId = messages[0].threadId;
+    record = findSavedThread(threadId, config.databaseId, true);
+    if (!record) {
+      throw new Error("This conversation has not been saved to Notion yet");
+    }
+    
+    var newMessages = messages.filter(message => !(record.messageKeys || []).includes(buildMessageKey(message)));
+    var mappings = getMappings();
+    var threadData = buildThreadEmailData(messages);
+    
+    if (newMessages.length > 0) {
+      console.log(`Appending ${newMessages.length} of ${messages.length} messages to ${record.pageId}`);
+      
+      var pageContent = mappings[PAGE_CONTENT_PROPERTY.id];
+      var bodyMode = (pageContent && pageContent.bodyMode) || getBodyContentMode();
+      
+      appendNotionBlockChildren(
+        record.pageId,
+        newMessages.map(message => buildThreadMessageToggle(message, bodyMode)),
+        { apiKey: config.apiKey }
+      );
+      
+      // The page now holds the new messages even if the properties cannot be updated
+      recordSavedMessage(threadData, { id: record.pageId, url: record.url }, "thread", {
+        messageKeys: messages.map(buildMessageKey)
+      });
+    }
+    
+    // Also run when nothing is new, so a failed update from an earlier append is retried
+    var propertyError = null;
+    var activityProperties = buildThreadActivityProperties(threadData, mappings);
+    if (Object.keys(activityProperties).length > 0) {
+      try {
+        notionRequest(`/pages/${record.pageId}`, {
+          method: "PATCH",
+          apiKey: config.apiKey,
+          payload: { properties: activityProperties }
+        });
+      } catch (error) {
+        // A deleted page goes to the handler below, which forgets the thread
+        if (error instanceof NotionApiError && classifyNotionError(error).category === "object_not_found") {
+          throw error;
+        }
+        console.warn("Thread page properties were not updated:", error);
+        propertyError = error.message;
+      }
+    }
+    
+    var message = newMessages.length > 0
+      ? `Added ${newMessages.length} new ${newMessages.length === 1 ? "message" : "messages"} to Notion`
+      : "The Notion page already has every message";
+    
+    return {
+      success: true,
+      message: propertyError
+        ? message + ", but its properties could not be updated: " + propertyError
+        : message + (newMessages.length > 0 ? "!" : ""),
+      partial: !!propertyError,
+      url: record.url,
+      pageId: record.pageId
+    };
+  
+  } catch (error) {
+    console.error("Error appending to thread page:", error);
+    
+    var notionError = null;
+    if (error instanceof NotionApiError) {
+      notionError = classifyNotionError(error);
+      
+      // The page was deleted or unshared, so the next save starts a new one
+      if (notionError.category === "object_not_found" && record) {
+        forgetSavedThread(threadId);
+      }
+    }
+    
+    return {
+      success: false,
+      message: "Failed to update the page: " + (notionError ? notionError.title : error.message),
+      notionError: notionError
+    };
+  }
+}
+
+/**
+ * Append to existing page button handler
+ * @param {Object} event - Event object
+ * @returns {CardService.ActionResponse} Action response
+ */
+function quickG2NAppendThread(event) {
+  var result = appendThreadToNotion(event);
+  var notification = CardService.newNotification()
+    .setText((result.success ? (result.partial ? "⚠️ " : "✅ ") : "❌ ") + result.message);
+  var response = CardService.newActionResponseBuilder()
+    .setNotification(notification);
+  
+  if (result.success) {
+    response.setOpenLink(
+      CardService.newOpenLink()
+        .setUrl(result.url)
+    );
+  } else if (result.notionError) {
+    response.setNavigation(
+      CardService.newNavigation()
+        .pushCard(buildNotionErrorCard(result.notionError, "quickG2NAppendThread"))
+    );
+  }
+  
+  return response.build();
+}
+
+/**
+ * Email fields that change as replies arrive; only these are rewritten when appending
+ * @type {Array<string>}
+ */
+const THREAD_ACTIVITY_FIELDS = ["messageCount", "lastMessageDate"];
+
+/**
+ * Build the property updates for a thread that gained messages
+ * @param {Object} threadData - Combined thread data (see buildThreadEmailData)
+ * @param {Object} mappings - Field mappings configuration
+ * @returns {Object} Notion API properties object (empty if no activity field is mapped)
+ */
+function buildThreadActivityProperties(threadData, mappings) {
+  var activityMappings = {};
+  
+  Object.entries(mappings).forEach(([propertyId, mapping]) => {
+    if (THREAD_ACTIVITY_FIELDS.includes(mapping.emailField)) {
+      activityMappings[propertyId] = mapping;
+    }
+  });
+  
+  return applyMappings(threadData, activityMappings);
+}
+
+/**
+ * Extract every message in the thread of a message, oldest first. Drafts are left out.
+ * @param {string} messageId - ID of any message in the thread
+ * @returns {Array<Object>} Extracted email data per message
+ */
+function extractThreadEmailData(messageId) {
+  var messages = [];
+  
+  // METHOD 1: Gmail advanced service
+  if (typeof Gmail !== "undefined") {
+    try {
+      var threadId = Gmail.Users.Messages.get('me', messageId, {format: 'minimal'}).threadId;
+      var thread = Gmail.Users.Threads.get('me', threadId, {format: 'minimal'});
+      
+      (thread.messages || []).forEach(message => {
+        if ((message.labelIds || []).includes("DRAFT")) return;
+        
+        var emailData = extractEmailDataAdvanced(message.id);
+        if (emailData) messages.push(emailData);
+      });
+    } catch (error) {
+      console.warn("Could not read thread (advanced):", error.message);
+      messages = [];
+    }
+  }
+  
+  // METHOD 2: GmailApp
+  if (messages.length === 0) {
+    try {
+      var numericId = messageId.includes(':') ? messageId.split(':')[1] : messageId;
+      var gmailThread = GmailApp.getMessageById(numericId).getThread();
+      
+      gmailThread.getMessages().forEach(message => {
+        if (message.isDraft()) return;
+        
+        var emailData = extractEmailData(message.getId());
+        if (emailData) messages.push(emailData);
+      });
+    } catch (error) {
+      console.warn("Could not read thread (GmailApp):", error.message);
+    }
+  }
+  
+  return messages.sort((a, b) => a.internalDate - b.internalDate);
+}
+
+/**
+ * Combine the messages of a thread into one set of email fields for the
+ * property mappings: the first subject and sender, every participant,
+ * label and attachment, the message count and the first and last dates
+ * @param {Array<Object>} messages - Extracted email data, oldest first
+ * @returns {Object} Email data for the whole thread
+ */
+function buildThreadEmailData(messages) {
+  var first = messages[0];
+  var last = messages[messages.length - 1];
+  
+  var unique = (lists) => {
+    var seen = {};
+    return [].concat(...lists).filter(value => {
+      var key = String(value).toLowerCase();
+      if (!value || seen[key]) return false;
+      seen[key] = true;
+      return true;
+    });
+  };
+  
+  var attachments = [].concat(...messages.map(message => message.attachments || []));
+  var labels = unique(messages.map(message => message.labels || []));
+  
+  // The transcript stands in for the body in property mappings
+  var transcript = messages.map(message =>
+    `${message.from} — ${formatThreadDate(message.date)}\n\n${message.plainBody || ""}`
+  ).join("\n\n");
+  
+  return Object.assign({}, first, {
+    subject: first.subject,
+    to: unique(messages.map(message => parseAddressList(message.to).map(mailbox => mailbox.address))).join(", "),
+    cc: unique(messages.map(message => parseAddressList(message.cc).map(mailbox => mailbox.address))).join(", "),
+    toAddresses: unique(messages.map(message => message.toAddresses || [])),
+    ccAddresses: unique(messages.map(message => message.ccAddresses || [])),
+    allParticipants: unique(messages.map(message => message.allParticipants || [])),
+    messageCount: messages.length,
+    firstMessageDate: first.date,
+    lastMessageDate: last.date,
+    body: transcript,
+    plainBody: transcript,
+    snippet: last.snippet,
+    labels: labels,
+    labelSegments: buildLabelFields(labels).labelSegments,
+    starred: messages.some(message => message.starred),
+    unread: messages.some(message => message.unread),
+    inInbox: messages.some(message => message.inInbox),
+    hasAttachments: attachments.length > 0,
+    attachments: attachments,
+    attachmentCount: attachments.length,
+    attachmentNames: attachments.map(attachment => attachment.name).join(", "),
+    gmailLinkUrl: buildGmailPermalink(first.threadId)
+  });
+}
+
+/**
+ * Build the thread page: an overview callout, then one toggle per message
+ * @param {Array<Object>} messages - Extracted email data, oldest first
+ * @param {Object} threadData - Combined thread data (see buildThreadEmailData)
+ * @param {string} bodyMode - "plain_text" or "html_blocks"
+ * @returns {Array} Array of Notion block objects
+ */
+function buildThreadPageBlocks(messages, threadData, bodyMode) {
+  var overview = [
+    buildTextElement(threadData.messageCount + (threadData.messageCount === 1 ? " message" : " messages"), { bold: true }),
+    buildTextElement(", ")
+  ];
+  
+  [threadData.firstMessageDate, threadData.lastMessageDate].forEach((date, index) => {
+    var parsed = new Date(date);
+    if (!isNaN(parsed.getTime())) {
+      if (index > 0) overview.push(buildTextElement(" – "));
+      overview.push(buildDateMention(parsed));
+    }
+  });
+  
+  var participants = threadData.allParticipants.slice(0, EMAIL_SUMMARY_MAX_ADDRESSES).join(", ");
+  var more = threadData.allParticipants.length - EMAIL_SUMMARY_MAX_ADDRESSES;
+  overview.push(buildTextElement("\nParticipants: ", { bold: true }));
+  overview.push(buildTextElement(participants + (more > 0 ? ` and ${more} more` : "")));
+  
+  var blocks = [{
+    object: "block",
+    type: "callout",
+    callout: {
+      rich_text: overview,
+      icon: { type: "emoji", emoji: "🧵" },
+      color: "gray_background"
+    }
+  }];
+  
+  messages.forEach(message => {
+    try {
+      blocks.push(buildThreadMessageToggle(message, bodyMode));
+    } catch (error) {
+      console.error("Error building thread message block:", error);
+    }
+  });
+  
+  return blocks;
+}
+
+/**
+ * Build the toggle for one message: sender and date, with recipients, body and attachments inside
+ * @param {Object} emailData - Extracted email data
+ * @param {string} bodyMode - "plain_text" or "html_blocks"
+ * @returns {Object} Toggle block
+ */
+function buildThreadMessageToggle(emailData, bodyMode) {
+  var title = [buildTextElement(emailData.fromName || emailData.from || "Unknown sender", { bold: true })];
+  var date = new Date(emailData.date);
+  
+  if (!isNaN(date.getTime())) {
+    title.push(buildTextElement(" · "));
+    title.push(buildDateMention(date));
+  }
+  
+  var recipients = [];
+  [["To", emailData.to], ["Cc", emailData.cc]].forEach(([label, header]) => {
+    var richText = buildAddressRichText(header);
+    if (richText.length > 0) {
+      recipients.push(buildTextElement((recipients.length > 0 ? "\n" : "") + label + ": ", { bold: true, color: "gray" }));
+      recipients.push(...richText);
+    }
+  });
+  
+  var children = [];
+  if (recipients.length > 0) {
+    children.push({ object: "block", type: "paragraph", paragraph: { rich_text: recipients } });
+  }
+  children.push(...buildEmailBodyBlocks(emailData, bodyMode));
+  children.push(...buildAttachmentListBlocks(emailData));
+  
+  var toggle = { rich_text: title };
+  if (children.length > 0) {
+    toggle.children = children;
+  }
+  
+  return { object: "block", type: "toggle", toggle: toggle };
+}
+
+/**
+ * Format a message date for the thread transcript
+ * @param {Date|string} date - Message date
+ * @returns {string} Formatted date, or an empty string if it is invalid
+ */
+function formatThreadDate(date) {
+  var parsed = new Date(date);
+  if (isNaN(parsed.getTime())) return "";
+  return Utilities.formatDate(parsed, Session.getScriptTimeZone(), "yyyy-MM-dd HH:mm");
+}
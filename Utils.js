@@ -18,6 +18,14 @@ function getAvailableGmailFields() {
     { label: "👻 BCC Recipients", value: "bcc" },
     { label: "↩️ Reply-To", value: "replyTo" },
     
+    // Parsed addresses
+    { label: "🙋 Sender Name", value: "fromName" },
+    { label: "📧 Sender Address", value: "fromAddress" },
+    { label: "🌐 Sender Domain", value: "fromDomain" },
+    { label: "👥 To Addresses (list)", value: "toAddresses" },
+    { label: "📋 CC Addresses (list)", value: "ccAddresses" },
+    { label: "🫂 All Participants (list)", value: "allParticipants" },
+    
     // Dates
     { label: "📅 Date Received", value: "date" },
     { label: "✉️ Message Date", value: "internalDate" },
@@ -31,10 +39,13 @@ function getAvailableGmailFields() {
     { label: "🔑 Message ID", value: "messageId" },
     { label: "🧵 Thread ID", value: "threadId" },
     { label: "🔗 Gmail Link URL", value: "gmailLinkUrl" },
+    { label: "🔎 Gmail Search Link (by Message-ID)", value: "gmailSearchUrl" },
     { label: "#️⃣ History ID", value: "historyId" },
+    { label: "🗄️ Original .eml (Drive link)", value: "emlUrl" },
     
     // Status
     { label: "🏷️ Labels", value: "labels" },
+    { label: "🗂️ Label Parts (nested labels split)", value: "labelSegments" },
     { label: "📌 Starred", value: "starred" },
     { label: "📥 In Inbox", value: "inInbox" },
     { label: "💬 Has Attachments", value: "hasAttachments" },
@@ -43,10 +54,41 @@ function getAvailableGmailFields() {
     // Attachments
     { label: "📎 Attachments", value: "attachments" },
     { label: "#️⃣ Attachment Count", value: "attachmentCount" },
-    { label: "📎 Attachment Names", value: "attachmentNames" }
+    { label: "📎 Attachment Names", value: "attachmentNames" },
+    
+    // Thread saves
+    { label: "🧵 Message Count (thread)", value: "messageCount" },
+    { label: "📅 First Message Date (thread)", value: "firstMessageDate" },
+    { label: "📅 Last Message Date (thread)", value: "lastMessageDate" },
+    
+    // Threading and list headers
+    { label: "🆔 Message-ID Header", value: "rfcMessageId" },
+    { label: "↪️ In-Reply-To", value: "inReplyTo" },
+    { label: "🔗 References", value: "references" },
+    { label: "📮 Mailing List (List-Id)", value: "listId" },
+    { label: "🚫 Unsubscribe Link", value: "listUnsubscribe" },
+    { label: "🔙 Return-Path", value: "returnPath" },
+    { label: "📬 Delivered-To", value: "deliveredTo" },
+    { label: "✍️ Sender Header", value: "sender" },
+    { label: "🧩 Custom Header (X-…)", value: "customHeader" }
   ];
 }
 
+/**
+ * Email data fields read from a single header
+ * @type {Object<string, string>}
+ */
+const EMAIL_HEADER_FIELDS = {
+  rfcMessageId: "Message-ID",
+  inReplyTo: "In-Reply-To",
+  references: "References",
+  listId: "List-Id",
+  listUnsubscribe: "List-Unsubscribe",
+  returnPath: "Return-Path",
+  deliveredTo: "Delivered-To",
+  sender: "Sender"
+};
+
 /**
  * Get allowed Notion property types for a specific Gmail field
  * @param {string} gmailField - The Gmail field name
@@ -62,6 +104,14 @@ function getAllowedPropertyTypesForGmailField(gmailField) {
     bcc: ["email", "rich_text"],
     replyTo: ["email", "rich_text"],
     
+    // Parsed addresses
+    fromName: ["title", "rich_text"],
+    fromAddress: ["email", "rich_text"],
+    fromDomain: ["rich_text", "multi_select"],
+    toAddresses: ["multi_select", "email", "rich_text"],
+    ccAddresses: ["multi_select", "email", "rich_text"],
+    allParticipants: ["multi_select", "email", "rich_text"],
+    
     // Content
     body: ["rich_text"],
     plainBody: ["rich_text"],
@@ -75,10 +125,13 @@ function getAllowedPropertyTypesForGmailField(gmailField) {
     messageId: ["rich_text", "url"],
     threadId: ["rich_text", "url"],
     gmailLinkUrl: ["url", "rich_text"],
+    gmailSearchUrl: ["url", "rich_text"],
     historyId: ["rich_text", "number"],
+    emlUrl: ["url", "rich_text"],
     
     // Status
     labels: ["multi_select", "select", "rich_text"],
+    labelSegments: ["multi_select", "rich_text"],
     starred: ["checkbox", "rich_text"],
     inInbox: ["checkbox", "rich_text"],
     hasAttachments: ["checkbox", "rich_text"],
@@ -87,7 +140,23 @@ function getAllowedPropertyTypesForGmailField(gmailField) {
     // Attachments
     attachments: ["files", "rich_text"],
     attachmentCount: ["number", "rich_text", "checkbox"],
-    attachmentNames: ["rich_text"]
+    attachmentNames: ["rich_text"],
+    
+    // Thread saves
+    messageCount: ["number", "rich_text"],
+    firstMessageDate: ["date", "rich_text"],
+    lastMessageDate: ["date", "rich_text"],
+    
+    // Threading and list headers
+    rfcMessageId: ["rich_text", "title"],
+    inReplyTo: ["rich_text"],
+    references: ["rich_text"],
+    listId: ["rich_text", "multi_select"],
+    listUnsubscribe: ["url", "rich_text"],
+    returnPath: ["email", "rich_text"],
+    deliveredTo: ["email", "rich_text"],
+    sender: ["email", "rich_text"],
+    customHeader: ["rich_text", "url", "email", "number"]
   };
   
   return mapping[gmailField] || ["rich_text"]; // Default to rich_text
@@ -107,56 +176,164 @@ function extractHeader(email, headerName) {
   }
 }
 
+/**
+ * Build a header map from Gmail API payload headers
+ * @param {Array<{name: string, value: string}>} headers - Payload headers
+ * @returns {Object<string, string>} Header values keyed by lower-case name; repeated headers are joined with ", "
+ */
+function buildHeaderMap(headers) {
+  const map = {};
+  
+  (headers || []).forEach(header => {
+    const name = header.name.toLowerCase();
+    map[name] = map[name] ? map[name] + ", " + header.value : header.value;
+  });
+  
+  return map;
+}
+
+/**
+ * Extract the threading and list header fields from a header map
+ * @param {Object<string, string>} headerMap - Headers from buildHeaderMap
+ * @returns {Object} Fields named as in EMAIL_HEADER_FIELDS
+ */
+function extractHeaderFields(headerMap) {
+  const get = field => (headerMap[EMAIL_HEADER_FIELDS[field].toLowerCase()] || "").trim();
+  const stripBrackets = value => value.replace(/^<|>$/g, "");
+  const ids = value => (value.match(/<[^>]+>/g) || []).map(stripBrackets);
+  
+  // "Name <list.example.com>": the bracketed part is the stable list identifier
+  const listId = get("listId");
+  const listIdMatch = listId.match(/<([^>]+)>/);
+  
+  // Only web links: the value maps to URL properties, where a mailto: address would be mangled
+  const unsubscribeLinks = (get("listUnsubscribe").match(/<[^>]+>/g) || []).map(stripBrackets);
+  
+  return {
+    rfcMessageId: stripBrackets(get("rfcMessageId")),
+    inReplyTo: ids(get("inReplyTo"))[0] || stripBrackets(get("inReplyTo")),
+    references: ids(get("references")).join(" "),
+    listId: listIdMatch ? listIdMatch[1] : listId,
+    listUnsubscribe: unsubscribeLinks.find(link => /^https?:/i.test(link)) || "",
+    returnPath: stripBrackets(get("returnPath")),
+    deliveredTo: get("deliveredTo"),
+    sender: get("sender"),
+    gmailSearchUrl: buildGmailSearchUrl(stripBrackets(get("rfcMessageId")))
+  };
+}
+
+/**
+ * Get any header of an email, such as an X- header
+ * @param {Object} emailData - Extracted email data
+ * @param {string} headerName - Header name (case-insensitive)
+ * @returns {string} Header value or empty string
+ */
+function getEmailHeaderValue(emailData, headerName) {
+  if (!headerName || !emailData.headers) return "";
+  return emailData.headers[headerName.trim().toLowerCase()] || "";
+}
+
+/**
+ * List the headers that email fields, custom header mappings and the page
+ * template read, for paths that can only fetch headers one by one
+ * @returns {string[]} Header names, without duplicates
+ */
+function getRequestedHeaderNames() {
+  const names = Object.values(EMAIL_HEADER_FIELDS);
+  const mappings = getMappings();
+  
+  Object.keys(mappings).forEach(propertyId => {
+    const mapping = mappings[propertyId];
+    if (mapping && mapping.enabled && mapping.emailField === "customHeader" && mapping.headerName) {
+      names.push(mapping.headerName.trim());
+    }
+  });
+  
+  const templateJson = PropertiesService.getUserProperties().getProperty("G2N_PAGE_TEMPLATE") || "";
+  const placeholder = /\{\{\s*header:\s*([^}|]+?)\s*(?:\|[^}]*)?\}\}/gi;
+  let match;
+  
+  while ((match = placeholder.exec(templateJson)) !== null) {
+    names.push(match[1]);
+  }
+  
+  const seen = {};
+  return names.filter(name => {
+    const key = name.toLowerCase();
+    if (!name || seen[key]) return false;
+    seen[key] = true;
+    return true;
+  });
+}
+
+/**
+ * Get the Gmail URL prefix for the signed-in account. Using the email address
+ * instead of an account index opens the right mailbox when several Google
+ * accounts are signed in.
+ * @returns {string} URL such as "https://mail.google.com/mail/u/jane@example.com/"
+ */
+function getGmailAccountUrl() {
+  let email = "";
+  
+  try {
+    email = Session.getActiveUser().getEmail();
+  } catch (error) {
+    console.warn("Could not read the active user's email:", error.message);
+  }
+  
+  return "https://mail.google.com/mail/u/" + (email || "0") + "/";
+}
+
+/**
+ * Build a link to a message that keeps working after it leaves the inbox
+ * @param {string} messageId - Gmail message ID
+ * @returns {string} Permalink in the "All Mail" view
+ */
+function buildGmailPermalink(messageId) {
+  return getGmailAccountUrl() + "#all/" + messageId;
+}
+
+/**
+ * Build a Gmail search link for a Message-ID header. Unlike the Gmail message
+ * ID, the header survives re-imports and moves between accounts.
+ * @param {string} rfcMessageId - Message-ID header value without angle brackets
+ * @returns {string} Search URL, or empty string if there is no Message-ID
+ */
+function buildGmailSearchUrl(rfcMessageId) {
+  if (!rfcMessageId) {
+    return "";
+  }
+  
+  return getGmailAccountUrl() + "#search/" + encodeURIComponent("rfc822msgid:" + rfcMessageId);
+}
+
 /**
  * Save data to Notion API
  * @param {string} apiKey - Notion API key
  * @param {string} databaseId - Notion database ID
  * @param {Object} properties - Properties to save
+ * @param {string} [dataSourceId] - Data source ID for multi-source databases
  * @returns {Object} Response object with id and url
- * @throws {Error} If API call fails
+ * @throws {NotionApiError} If API call fails
  */
-function saveToNotionAPI(apiKey, databaseId, properties) {
-  const payload = {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${apiKey}`,
-      "Notion-Version": "2022-06-28",
-      "Content-Type": "application/json"
-    },
-    payload: JSON.stringify({
-      parent: { database_id: databaseId },
-      properties: properties
-    }),
-    muteHttpExceptions: true
-  };
-  
+function saveToNotionAPI(apiKey, databaseId, properties, dataSourceId) {
   console.log("Sending to Notion API...");
   
   try {
-    const response = UrlFetchApp.fetch("https://api.notion.com/v1/pages", payload);
-    const statusCode = response.getResponseCode();
-    const responseText = response.getContentText();
-    
-    if (statusCode === 200) {
-      const data = JSON.parse(responseText);
-      return {
-        id: data.id,
-        url: data.url,
-        created_time: data.created_time
-      };
-    } else {
-      console.error("Notion API Error:", statusCode, responseText);
-      let errorMessage = "Failed to save to Notion";
-      
-      try {
-        const errorData = JSON.parse(responseText);
-        errorMessage = errorData.message || errorMessage;
-      } catch (parseError) {
-        // Keep default message
+    const data = notionRequest("/pages", {
+      method: "POST",
+      apiKey: apiKey,
+      payload: {
+        parent: buildNotionPageParent(databaseId, dataSourceId),
+        properties: properties
       }
-      
-      throw new Error(`Notion API Error (${statusCode}): ${errorMessage}`);
-    }
+    });
+    
+    return {
+      id: data.id,
+      url: data.url,
+      created_time: data.created_time
+    };
   } catch (error) {
     console.error("Failed to call Notion API:", error);
     throw error;
@@ -187,30 +364,14 @@ function findNotionUserIdByEmail(email, apiKey) {
   try {
     if (!email || !apiKey) return null;
     
-    const options = {
-      method: "GET",
-      headers: {
-        "Authorization": `Bearer ${apiKey}`,
-        "Notion-Version": "2022-06-28"
-      },
-      muteHttpExceptions: true
-    };
-    
-    const response = UrlFetchApp.fetch("https://api.notion.com/v1/users", options);
+    // Find user by email (case-insensitive)
+    const user = fetchNotionWorkspaceUsers(apiKey).find(user => 
+      user.email.toLowerCase() === email.toLowerCase()
+    );
     
-    if (response.getResponseCode() === 200) {
-      const users = JSON.parse(response.getContentText()).results || [];
-      
-      // Find user by email (case-insensitive)
-      const user = users.find(user => 
-        user.type === "person" && 
-        user.person?.email?.toLowerCase() === email.toLowerCase()
-      );
-      
-      if (user) {
-        console.log(`Found Notion user for email ${email}: ${user.id}`);
-        return user.id;
-      }
+    if (user) {
+      console.log(`Found Notion user for email ${email}: ${user.id}`);
+      return user.id;
     }
     
     console.log("No Notion user found for email:", email);
@@ -240,6 +401,11 @@ function applyMappings(emailData, mappings) {
         return;
       }
       
+      // Page content is added as blocks, not as a property
+      if (mapping.isPageContent) {
+        return;
+      }
+      
       const handler = getPropertyHandler(mapping.type);
       
       if (handler && handler.processForNotion) {